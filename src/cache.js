@@ -0,0 +1,163 @@
+/**
+ * Embedding cache
+ *
+ * Two layers keyed by provider, model and a SHA-256 hash of the normalized
+ * text: an in-memory LRU and an optional Postgres table shared by every
+ * server process pointing at the same database. Failures in the Postgres
+ * layer are counted and logged but never fail the embedding request.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Normalize text so trivially different inputs share a cache entry
+ */
+export function normalizeText(text) {
+  return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+export function createEmbeddingCache({ maxEntries = 1000, table = null, getPool = null } = {}) {
+  const memory = new Map();
+  const stats = {
+    memoryHits: 0,
+    persistentHits: 0,
+    misses: 0,
+    persistentErrors: 0,
+  };
+  let tableReady = null;
+
+  const hashText = (text) => createHash('sha256').update(normalizeText(text)).digest('hex');
+  const memoryKey = (provider, model, hash) => `${provider}\u0000${model}\u0000${hash}`;
+
+  function remember(key, embedding) {
+    memory.delete(key);
+    memory.set(key, embedding);
+    if (memory.size > maxEntries) {
+      // Map iteration order is insertion order, so the first key is least recently used
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  async function ensureTable(client) {
+    if (!tableReady) {
+      tableReady = client.query(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          provider TEXT NOT NULL,
+          model TEXT NOT NULL,
+          text_hash TEXT NOT NULL,
+          embedding REAL[] NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (provider, model, text_hash)
+        )
+      `).catch((error) => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  async function withPersistentLayer(callback) {
+    if (!table || !getPool) {
+      return null;
+    }
+    try {
+      const pool = await getPool();
+      const client = await pool.connect();
+      try {
+        await ensureTable(client);
+        return await callback(client);
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      stats.persistentErrors++;
+      console.error(`⚠️  Embedding cache table unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Look up cached embeddings; returns an array aligned with `texts` (undefined for misses)
+   */
+  async function lookup(provider, model, texts) {
+    const hashes = texts.map(hashText);
+    const found = hashes.map((hash) => {
+      const key = memoryKey(provider, model, hash);
+      if (!memory.has(key)) {
+        return undefined;
+      }
+      const embedding = memory.get(key);
+      remember(key, embedding);
+      stats.memoryHits++;
+      return embedding;
+    });
+
+    const missingHashes = [...new Set(hashes.filter((hash, index) => found[index] === undefined))];
+    if (missingHashes.length > 0) {
+      const rows = await withPersistentLayer(async (client) => {
+        const result = await client.query(
+          `SELECT text_hash, embedding FROM ${table} WHERE provider = $1 AND model = $2 AND text_hash = ANY($3)`,
+          [provider, model, missingHashes]
+        );
+        return result.rows;
+      });
+
+      const persisted = new Map((rows || []).map(row => [row.text_hash, row.embedding]));
+      hashes.forEach((hash, index) => {
+        if (found[index] !== undefined) {
+          return;
+        }
+        if (persisted.has(hash)) {
+          found[index] = persisted.get(hash);
+          remember(memoryKey(provider, model, hash), found[index]);
+          stats.persistentHits++;
+        } else {
+          stats.misses++;
+        }
+      });
+    }
+
+    return found;
+  }
+
+  /**
+   * Store freshly generated embeddings in both layers
+   */
+  async function store(provider, model, texts, embeddings) {
+    const rows = new Map();
+    texts.forEach((text, index) => {
+      const hash = hashText(text);
+      remember(memoryKey(provider, model, hash), embeddings[index]);
+      rows.set(hash, embeddings[index]);
+    });
+
+    await withPersistentLayer(async (client) => {
+      const params = [provider, model];
+      const values = [...rows.entries()].map(([hash, embedding]) => {
+        params.push(hash, embedding);
+        return `($1, $2, $${params.length - 1}, $${params.length})`;
+      });
+      await client.query(
+        `INSERT INTO ${table} (provider, model, text_hash, embedding)
+         VALUES ${values.join(', ')}
+         ON CONFLICT (provider, model, text_hash) DO NOTHING`,
+        params
+      );
+    });
+  }
+
+  function getStats() {
+    const lookups = stats.memoryHits + stats.persistentHits + stats.misses;
+    return {
+      ...stats,
+      hits: stats.memoryHits + stats.persistentHits,
+      hitRate: lookups > 0 ? (stats.memoryHits + stats.persistentHits) / lookups : 0,
+      entries: memory.size,
+      maxEntries,
+      persistentTable: table,
+    };
+  }
+
+  return { lookup, store, getStats };
+}
@@ -0,0 +1,224 @@
+/**
+ * Text chunking for long documents
+ *
+ * Every splitter returns chunks as { text, start, end, heading? } where
+ * start/end are character offsets into the original string, so a chunk can
+ * always be traced back to its position in the source document.
+ */
+
+export const CHUNK_STRATEGIES = ['none', 'fixed', 'sentence', 'markdown', 'code'];
+
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm;
+const PARAGRAPH_BREAK_PATTERN = /\n[ \t]*\n/g;
+const SENTENCE_END_PATTERN = /[.!?]["')\]]*\s+/g;
+// Blank line followed by a line starting at column 0 (a new top-level declaration)
+const CODE_BLOCK_PATTERN = /\n[ \t]*\n(?=\S)/g;
+
+/**
+ * Check a strategy, size and overlap before any text is split
+ */
+export function validateChunkOptions({ strategy, size, overlap }) {
+  if (!CHUNK_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown chunking strategy: ${strategy} (expected one of ${CHUNK_STRATEGIES.join(', ')})`);
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new Error('Chunk size must be a positive integer');
+  }
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= size) {
+    throw new Error('Chunk overlap must be a non-negative integer smaller than the chunk size');
+  }
+}
+
+/**
+ * Split text into chunks using the given strategy.
+ *
+ * Text that already fits into a single chunk is returned as one chunk.
+ */
+export function chunkText(text, { strategy = 'fixed', size = 2000, overlap = 200 } = {}) {
+  validateChunkOptions({ strategy, size, overlap });
+
+  if (strategy === 'none' || text.length <= size) {
+    return [{ text, start: 0, end: text.length }];
+  }
+
+  let chunks;
+  switch (strategy) {
+    case 'sentence':
+      chunks = packSegments(text, splitAt(sentenceBoundaries(text), 0, text.length), size, overlap);
+      break;
+    case 'markdown':
+      chunks = chunkMarkdown(text, size, overlap);
+      break;
+    case 'code':
+      chunks = packSegments(text, splitAt(boundaries(text, CODE_BLOCK_PATTERN), 0, text.length), size, overlap);
+      break;
+    default:
+      chunks = chunkFixed(text, 0, text.length, size, overlap);
+  }
+
+  return chunks
+    .map(chunk => trimChunk(text, chunk))
+    .filter(chunk => chunk.text.length > 0);
+}
+
+/**
+ * Fixed-size windows with overlap, preferring to break on whitespace
+ */
+function chunkFixed(text, from, to, size, overlap) {
+  const chunks = [];
+  let start = from;
+
+  while (start < to) {
+    let end = Math.min(start + size, to);
+    if (end < to) {
+      // Back off to the last whitespace in the final fifth of the window
+      const window = text.slice(start + Math.floor(size * 0.8), end);
+      const lastSpace = window.search(/\s\S*$/);
+      if (lastSpace > 0) {
+        end = start + Math.floor(size * 0.8) + lastSpace + 1;
+      }
+    }
+    chunks.push({ start, end });
+    if (end >= to) {
+      break;
+    }
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Split on Markdown headings, then pack each section by paragraphs
+ */
+function chunkMarkdown(text, size, overlap) {
+  const headings = [...text.matchAll(HEADING_PATTERN)];
+  const sections = [];
+
+  let sectionStart = 0;
+  let heading = null;
+  for (const match of headings) {
+    if (match.index > sectionStart) {
+      sections.push({ start: sectionStart, end: match.index, heading });
+    }
+    sectionStart = match.index;
+    heading = match[2];
+  }
+  sections.push({ start: sectionStart, end: text.length, heading });
+
+  return sections.flatMap(section => {
+    const segments = splitAt(boundaries(text, PARAGRAPH_BREAK_PATTERN), section.start, section.end);
+    return packSegments(text, segments, size, overlap).map(chunk => ({
+      ...chunk,
+      ...(section.heading ? { heading: section.heading } : {})
+    }));
+  });
+}
+
+/**
+ * Greedily pack consecutive segments into chunks of at most `size` characters.
+ *
+ * Trailing segments that fit into `overlap` are repeated at the start of the
+ * next chunk. Segments longer than `size` fall back to fixed-size windows.
+ */
+function packSegments(text, segments, size, overlap) {
+  const chunks = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) {
+      return;
+    }
+    chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+
+    // Carry trailing segments over as overlap
+    const carried = [];
+    let carriedLength = 0;
+    for (let i = current.length - 1; i > 0; i--) {
+      const length = current[i].end - current[i].start;
+      if (carriedLength + length > overlap) {
+        break;
+      }
+      carried.unshift(current[i]);
+      carriedLength += length;
+    }
+    current = carried;
+  };
+
+  for (const segment of segments) {
+    const segmentLength = segment.end - segment.start;
+
+    if (segmentLength > size) {
+      // Pending segments (e.g. a heading) lead into the first window instead of standing alone
+      const from = current.length > 0 ? current[0].start : segment.start;
+      current = [];
+      chunks.push(...chunkFixed(text, from, segment.end, size, overlap));
+      continue;
+    }
+
+    const currentStart = current.length > 0 ? current[0].start : segment.start;
+    if (segment.end - currentStart > size) {
+      flush();
+      // Drop carried overlap if it would still not leave room for this segment
+      while (current.length > 0 && segment.end - current[0].start > size) {
+        current.shift();
+      }
+    }
+    current.push(segment);
+  }
+
+  // Only flush the tail when it adds something beyond the carried overlap
+  if (current.length > 0 && (chunks.length === 0 || current[current.length - 1].end > chunks[chunks.length - 1].end)) {
+    chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+  }
+
+  return chunks;
+}
+
+function sentenceBoundaries(text) {
+  const offsets = new Set([
+    ...boundaries(text, PARAGRAPH_BREAK_PATTERN),
+    ...boundaries(text, SENTENCE_END_PATTERN)
+  ]);
+  return [...offsets].sort((a, b) => a - b);
+}
+
+/**
+ * Offsets just after each match of the pattern
+ */
+function boundaries(text, pattern) {
+  return [...text.matchAll(pattern)].map(match => match.index + match[0].length);
+}
+
+/**
+ * Cut the range [from, to) into contiguous segments at the given offsets
+ */
+function splitAt(offsets, from, to) {
+  const segments = [];
+  let start = from;
+  for (const offset of offsets) {
+    if (offset > start && offset < to) {
+      segments.push({ start, end: offset });
+      start = offset;
+    }
+  }
+  if (start < to) {
+    segments.push({ start, end: to });
+  }
+  return segments;
+}
+
+/**
+ * Attach the chunk text, trimming surrounding whitespace while keeping offsets exact
+ */
+function trimChunk(text, chunk) {
+  const raw = text.slice(chunk.start, chunk.end);
+  const leading = raw.length - raw.trimStart().length;
+  const trimmed = raw.trim();
+  return {
+    ...chunk,
+    text: trimmed,
+    start: chunk.start + leading,
+    end: chunk.start + leading + trimmed.length
+  };
+}
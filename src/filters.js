@@ -0,0 +1,246 @@
+/**
+ * Metadata filter language
+ *
+ * Compiles a MongoDB-style filter object into a parameterized SQL condition
+ * over a JSONB metadata column. Examples:
+ *
+ *   { "repository_name": "up-ai" }
+ *   { "stars": { "$gte": 10 }, "tags": { "$contains": ["rust"] } }
+ *   { "author.name": { "$in": ["alice", "bob"] } }
+ *   { "$or": [{ "lang": "go" }, { "$not": { "archived": { "$exists": true } } }] }
+ *   { "committed_at": { "$gt": "2024-06-01" } }
+ */
+
+const COMPARISON_OPERATORS = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+};
+
+const ISO_TIME = '([T ]([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d(\\.\\d+)?)?(Z|[+-](0\\d|1[0-5]):?[0-5]\\d)?)?';
+const ISO_DATE_PATTERN = new RegExp(`^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])${ISO_TIME}$`);
+
+// The SQL guard also knows month lengths and leap years, so stored values
+// such as 2023-02-29 never reach the cast and abort the query
+const CALENDAR_DATE = '((?!0000)\\d{4}-((0[13578]|1[02])-(0[1-9]|[12]\\d|3[01])|(0[469]|11)-(0[1-9]|[12]\\d|30)|02-(0[1-9]|1\\d|2[0-8]))' +
+  '|(\\d\\d(0[48]|[2468][048]|[13579][26])|([02468][048]|[13579][26])00)-02-29)';
+const SQL_ISO_DATE_PATTERN = `^${CALENDAR_DATE}${ISO_TIME}$`;
+
+/**
+ * Compile a filter object into a SQL condition.
+ *
+ * Values are appended to `params` and referenced as $n placeholders, so the
+ * caller can compile several filters into the same query. Returns null when
+ * the filter has no conditions.
+ */
+export function compileFilter(filter, params, column = 'metadata') {
+  if (filter === undefined || filter === null) {
+    return null;
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Invalid filter: expected an object');
+  }
+
+  const conditions = [];
+
+  for (const [key, value] of Object.entries(filter)) {
+    switch (key) {
+      case '$and':
+      case '$or': {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error(`Invalid filter: ${key} expects a non-empty array of filters`);
+        }
+        const parts = value
+          .map(sub => compileFilter(sub, params, column))
+          .filter(Boolean);
+        if (parts.length > 0) {
+          conditions.push(`(${parts.join(key === '$or' ? ' OR ' : ' AND ')})`);
+        }
+        break;
+      }
+      case '$not': {
+        const inner = compileFilter(value, params, column);
+        if (inner) {
+          conditions.push(`NOT (${inner})`);
+        }
+        break;
+      }
+      default:
+        if (key.startsWith('$')) {
+          throw new Error(`Invalid filter: unknown operator ${key}`);
+        }
+        conditions.push(compileField(key, value, params, column));
+    }
+  }
+
+  if (conditions.length === 0) {
+    return null;
+  }
+  return conditions.length === 1 ? conditions[0] : conditions.join(' AND ');
+}
+
+/**
+ * SQL for the value at a dotted metadata path, as JSONB and as text
+ *
+ * The path is passed as a parameter; used by sorting and facets as well.
+ */
+export function compilePath(path, params, column = 'metadata') {
+  const segments = typeof path === 'string' ? path.split('.') : [];
+  if (segments.length === 0 || segments.some(segment => segment === '')) {
+    throw new Error(`Invalid metadata path "${path}"`);
+  }
+
+  params.push(segments);
+  const pathParam = `$${params.length}::text[]`;
+  return {
+    jsonValue: `(${column} #> ${pathParam})`,
+    textValue: `(${column} #>> ${pathParam})`,
+  };
+}
+
+/**
+ * Compile the conditions for a single (possibly nested) metadata path
+ */
+function compileField(path, value, params, column) {
+  if (path.split('.').some(segment => segment === '')) {
+    throw new Error(`Invalid filter: malformed path "${path}"`);
+  }
+
+  // Plain values are shorthand for equality
+  const operators = isOperatorObject(value) ? Object.entries(value) : [['$eq', value]];
+
+  // The path is only compiled when used, as an unreferenced parameter fails the query
+  const needsPath = operators.some(([operator, operand]) => !(operator === '$eq' && isContainable(path, operand)));
+  const { jsonValue, textValue } = needsPath ? compilePath(path, params, column) : {};
+
+  const parts = operators.map(([operator, operand]) =>
+    compileOperator(operator, operand, { path, column, jsonValue, textValue, params })
+  );
+  return parts.length === 1 ? parts[0] : `(${parts.join(' AND ')})`;
+}
+
+function compileOperator(operator, operand, { path, column, jsonValue, textValue, params }) {
+  switch (operator) {
+    case '$eq': {
+      if (isContainable(path, operand)) {
+        return compileContainment(path, operand, column, params);
+      }
+      params.push(JSON.stringify(operand));
+      return `${jsonValue} = $${params.length}::jsonb`;
+    }
+
+    case '$ne':
+      if (operand === null) {
+        return `${jsonValue} IS DISTINCT FROM 'null'::jsonb`;
+      }
+      params.push(JSON.stringify(operand));
+      return `${jsonValue} IS DISTINCT FROM $${params.length}::jsonb`;
+
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte':
+      return compileComparison(COMPARISON_OPERATORS[operator], operand, { path, jsonValue, textValue, params });
+
+    case '$in':
+    case '$nin': {
+      if (!Array.isArray(operand)) {
+        throw new Error(`Invalid filter: ${operator} on "${path}" expects an array`);
+      }
+      params.push(operand.map(item => JSON.stringify(item)));
+      const condition = `${jsonValue} = ANY($${params.length}::jsonb[])`;
+      return operator === '$in' ? condition : `NOT coalesce(${condition}, false)`;
+    }
+
+    case '$exists':
+      return operand ? `${jsonValue} IS NOT NULL` : `${jsonValue} IS NULL`;
+
+    case '$contains':
+      // Array containment, e.g. { "tags": { "$contains": ["a", "b"] } }
+      params.push(JSON.stringify(Array.isArray(operand) ? operand : [operand]));
+      return `${jsonValue} @> $${params.length}::jsonb`;
+
+    case '$like':
+    case '$ilike':
+      if (typeof operand !== 'string') {
+        throw new Error(`Invalid filter: ${operator} on "${path}" expects a string pattern`);
+      }
+      params.push(operand);
+      return `${textValue} ${operator === '$like' ? 'LIKE' : 'ILIKE'} $${params.length}`;
+
+    default:
+      throw new Error(`Invalid filter: unknown operator ${operator} on "${path}"`);
+  }
+}
+
+/**
+ * Whether equality with a value can be written as containment
+ *
+ * Containment only equals equality for scalars, and numeric path segments
+ * may be array positions, which containment can't address.
+ */
+function isContainable(path, operand) {
+  return (operand === null || typeof operand !== 'object') &&
+    !path.split('.').some(segment => /^\d+$/.test(segment));
+}
+
+/**
+ * Equality as containment, e.g. metadata @> '{"a":{"b":1}}', which unlike
+ * #> can use a GIN index on the column
+ */
+function compileContainment(path, operand, column, params) {
+  const document = path.split('.').reduceRight((value, segment) => ({ [segment]: value }), operand);
+  params.push(JSON.stringify(document));
+  return `${column} @> $${params.length}::jsonb`;
+}
+
+/**
+ * Range comparisons on numbers, ISO dates or plain strings.
+ *
+ * Casts are guarded by CASE so rows holding a different type simply don't
+ * match instead of aborting the query with a cast error.
+ */
+function compileComparison(sqlOperator, operand, { path, jsonValue, textValue, params }) {
+  if (typeof operand === 'number') {
+    params.push(operand);
+    return `(CASE WHEN jsonb_typeof(${jsonValue}) = 'number' THEN ${textValue}::numeric ${sqlOperator} $${params.length}::numeric END)`;
+  }
+
+  if (typeof operand === 'string' && ISO_DATE_PATTERN.test(operand)) {
+    if (!isCalendarDate(operand)) {
+      throw new Error(`Invalid filter: "${operand}" on "${path}" is not a valid date`);
+    }
+    params.push(operand);
+    return `(CASE WHEN ${textValue} ~ '${SQL_ISO_DATE_PATTERN}' THEN ${textValue}::timestamptz ${sqlOperator} $${params.length}::timestamptz END)`;
+  }
+
+  if (typeof operand === 'string') {
+    params.push(operand);
+    return `${textValue} ${sqlOperator} $${params.length}`;
+  }
+
+  throw new Error(`Invalid filter: range operator on "${path}" expects a number, date string or string`);
+}
+
+/**
+ * Whether the date part of an ISO date string exists, e.g. not 2024-02-30
+ */
+function isCalendarDate(value) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  return year > 0 && date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isOperatorObject(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  const operatorKeys = keys.filter(key => key.startsWith('$'));
+  if (operatorKeys.length > 0 && operatorKeys.length !== keys.length) {
+    throw new Error(`Invalid filter: cannot mix operators and plain keys in ${JSON.stringify(value)}`);
+  }
+  return operatorKeys.length > 0;
+}
@@ -0,0 +1,120 @@
+/**
+ * HTTP transport
+ *
+ * Serves MCP over Server-Sent Events so several agents can share one server
+ * process and its connection pool. A client opens `GET <basePath>/sse`, which
+ * starts a session with its own MCP server instance, and posts its messages
+ * to the `<basePath>/messages?sessionId=...` endpoint announced on the
+ * stream. With an auth token set, every request except the health check
+ * must send `Authorization: Bearer <token>`.
+ */
+
+import { createServer as createHttpServer } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+export const TRANSPORTS = ['stdio', 'sse'];
+
+// Comment lines keep idle streams open through proxies that time out quiet connections
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+/**
+ * Constant-time check of an Authorization header against the expected token
+ */
+export function isAuthorized(header, token) {
+  if (!token) {
+    return true;
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) {
+    return false;
+  }
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+/**
+ * Normalize a base path to "" or "/prefix" without a trailing slash
+ */
+export function normalizeBasePath(basePath) {
+  const trimmed = (basePath || '').replace(/\/+$/, '');
+  return trimmed === '' || trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+/**
+ * Start the HTTP server; `createServer()` returns a new, unconnected MCP server per session
+ *
+ * Resolves once listening, with the HTTP server and the live session map.
+ */
+export async function startHttpTransport({ host, port, basePath = '', authToken = null, createServer, log = console.error }) {
+  const prefix = normalizeBasePath(basePath);
+  const sessions = new Map();
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === `${prefix}/health`) {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+        .end(JSON.stringify({ status: 'ok', sessions: sessions.size }));
+      return;
+    }
+
+    if (!isAuthorized(req.headers.authorization, authToken)) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end('Unauthorized');
+      return;
+    }
+
+    try {
+      if (req.method === 'GET' && url.pathname === `${prefix}/sse`) {
+        const transport = new SSEServerTransport(`${prefix}/messages`, res);
+        const server = createServer();
+        let keepalive = null;
+
+        // Registered before connecting, as the client may post as soon as it learns the session id
+        sessions.set(transport.sessionId, { transport, server, startedAt: new Date() });
+        // connect() takes over transport.onclose and reports it through server.onclose
+        server.onclose = () => {
+          clearInterval(keepalive);
+          sessions.delete(transport.sessionId);
+          log(`🔌 Session ${transport.sessionId} closed (${sessions.size} active)`);
+        };
+        try {
+          await server.connect(transport);
+        } catch (error) {
+          sessions.delete(transport.sessionId);
+          throw error;
+        }
+        keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+        log(`🔌 Session ${transport.sessionId} opened (${sessions.size} active)`);
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === `${prefix}/messages`) {
+        const session = sessions.get(url.searchParams.get('sessionId'));
+        if (!session) {
+          res.writeHead(404).end('Unknown or expired session');
+          return;
+        }
+        await session.transport.handlePostMessage(req, res);
+        return;
+      }
+
+      res.writeHead(404).end('Not found');
+    } catch (error) {
+      log(`❌ HTTP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500).end('Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  return { httpServer, sessions };
+}
@@ -0,0 +1,112 @@
+/**
+ * SQL identifier handling
+ *
+ * Table and column names can't be bound as query parameters, so anything
+ * that ends up interpolated into SQL goes through quoteIdentifier after being
+ * resolved against the catalog. Table access is further limited by an
+ * allow/deny policy configured by the operator.
+ */
+
+// Never exposed, whatever the allow-list says
+const SYSTEM_SCHEMAS = ['pg_catalog', 'information_schema', 'pg_toast'];
+
+/**
+ * Quote an identifier for safe interpolation into SQL
+ */
+export function quoteIdentifier(name) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Identifier must be a non-empty string');
+  }
+  if (name.includes('\u0000')) {
+    throw new Error('Identifier must not contain NUL characters');
+  }
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a possibly schema-qualified name such as `kb.documents`
+ */
+export function quoteQualifiedName(input) {
+  const { schema, name } = parseTableName(input);
+  return schema ? `${quoteIdentifier(schema)}.${quoteIdentifier(name)}` : quoteIdentifier(name);
+}
+
+/**
+ * Split `table`, `schema.table` or `"Quoted"."Names"` into its parts.
+ *
+ * Unquoted parts are taken literally (no case folding) so they match catalog
+ * names as users see them in tool output.
+ */
+export function parseTableName(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new Error('Table name must be a non-empty string');
+  }
+
+  const parts = [];
+  const pattern = /\s*(?:"((?:[^"]|"")+)"|([^".]+))\s*(\.|$)/y;
+  let match;
+  while (pattern.lastIndex < input.length && (match = pattern.exec(input))) {
+    parts.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim());
+    if (match[3] === '') {
+      break;
+    }
+  }
+
+  if (parts.length === 0 || parts.length > 2 || pattern.lastIndex !== input.length) {
+    throw new Error(`Invalid table name: ${input}`);
+  }
+
+  return parts.length === 2
+    ? { schema: parts[0], name: parts[1] }
+    : { schema: null, name: parts[0] };
+}
+
+/**
+ * Build an access policy from allow/deny entries.
+ *
+ * Entries are `table`, `schema.table` or `schema.*`, and `*` works as a
+ * wildcard inside either part. An empty allow-list allows every non-system
+ * table; deny entries always win.
+ */
+export function createTablePolicy({ allow = [], deny = [] } = {}) {
+  const allowMatchers = allow.map(compilePattern);
+  const denyMatchers = deny.map(compilePattern);
+
+  function isAllowed(schema, name) {
+    if (SYSTEM_SCHEMAS.includes(schema) || schema.startsWith('pg_temp')) {
+      return false;
+    }
+    if (denyMatchers.some(matches => matches(schema, name))) {
+      return false;
+    }
+    return allowMatchers.length === 0 || allowMatchers.some(matches => matches(schema, name));
+  }
+
+  return {
+    isAllowed,
+    describe: () => ({ allow: [...allow], deny: [...deny] }),
+  };
+}
+
+function compilePattern(entry) {
+  const dot = entry.indexOf('.');
+  const schemaPattern = dot === -1 ? null : globToRegExp(entry.slice(0, dot));
+  const namePattern = globToRegExp(dot === -1 ? entry : entry.slice(dot + 1));
+  return (schema, name) =>
+    (schemaPattern === null || schemaPattern.test(schema)) && namePattern.test(name);
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Parse a comma-separated list from an environment variable
+ */
+export function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
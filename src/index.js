@@ -5,139 +5,431 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, randomUUID } from 'crypto';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
 import axios from 'axios';
 import { HfInference } from '@huggingface/inference';
+import { compileFilter, compilePath } from './filters.js';
+import { chunkText, validateChunkOptions } from './chunking.js';
+import { createEmbeddingCache } from './cache.js';
+import { createTablePolicy, parseTableName, quoteIdentifier, quoteQualifiedName } from './identifiers.js';
+import { createMappingRegistry, loadMappingsFile, normalizeMapping, PREVIOUS_SUFFIX, REEMBED_SUFFIX, resolveColumns } from './mappings.js';
+import { getMetric, metricFromOperatorClass, METRIC_NAMES } from './metrics.js';
+import { DEFAULT_DATABASE, listDatabases, loadConfig } from './config.js';
+import { createModelRegistry, parseVectorDimensions } from './models.js';
+import { buildPage, keysetCondition, orderByClause, resolvePageStart, searchFingerprint } from './pagination.js';
+import {
+  parseCountArgument,
+  parseJsonArgument,
+  PROMPTS,
+  renderAnswerPrompt,
+  renderSchemaPrompt,
+  renderSummaryPrompt
+} from './prompts.js';
+import { DOCUMENT_URI_TEMPLATE, documentUri, documentUriTemplate, parseResourceUri, tableUri } from './resources.js';
+import { normalizeBasePath, startHttpTransport, TRANSPORTS } from './http.js';
+import { formatOutput, formatResults, OUTPUT_FORMATS, parseOutputOptions } from './output.js';
+import { buildCreateIndexSql, defaultIndexName, MAX_INDEXED_DIMENSIONS, resolveIndexOptions, VECTOR_INDEX_METHODS } from './indexes.js';
 
 dotenv.config();
 
 const { Pool } = pg;
 
-// Configuration
-const CONFIG = {
-  server: {
-    name: process.env.MCP_SERVER_NAME || "pgvector",
-    version: process.env.MCP_SERVER_VERSION || "1.0.0",
-  },
-  db: {
-    connectionString: process.env.DATABASE_URL,
-  },
-  azure: {
-    apiKey: process.env.AZURE_OPENAI_API_KEY,
-    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-  },
-  huggingface: {
-    apiKey: process.env.HUGGINGFACE_API_KEY,
-    model: process.env.HUGGINGFACE_MODEL || "sentence-transformers/all-MiniLM-L6-v2",
-  },
-  embeddings: {
-    provider: process.env.EMBEDDING_PROVIDER || "auto", // auto, azure, huggingface, none
-  }
-};
+function parseOptionalInt(value) {
+  return value ? parseInt(value, 10) : undefined;
+}
+
+/**
+ * Value following a command line flag, or undefined
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+// Configuration: environment over the --config file over the defaults
+let CONFIG;
+try {
+  CONFIG = loadConfig({ configPath: getArgValue('--config') || process.env.MCP_CONFIG_FILE });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
 
 // Check for health check mode
 const isHealthCheck = process.argv.includes('--health') || process.env.HEALTH_CHECK === 'true';
 
+// Read-only mode can also be requested on the command line
+if (process.argv.includes('--read-only')) {
+  CONFIG.tools.readOnly = true;
+}
+
+// Transport flags override the environment
+CONFIG.server.transport = getArgValue('--transport') || CONFIG.server.transport;
+CONFIG.server.host = getArgValue('--host') || CONFIG.server.host;
+CONFIG.server.port = parseOptionalInt(getArgValue('--port')) || CONFIG.server.port;
+CONFIG.server.basePath = normalizeBasePath(getArgValue('--base-path') ?? CONFIG.server.basePath);
+
+if (!TRANSPORTS.includes(CONFIG.server.transport)) {
+  console.error(`ERROR: Transport must be one of ${TRANSPORTS.join(', ')}`);
+  process.exit(1);
+}
+
 // Validate required environment variables (skip for health check)
-if (!CONFIG.db.connectionString && !isHealthCheck) {
-  console.error('ERROR: DATABASE_URL environment variable is required');
+if (!CONFIG.db.connectionString && Object.keys(CONFIG.databases).length === 0 && !isHealthCheck) {
+  console.error('ERROR: DATABASE_URL (or db.connectionString or databases in the config file) is required');
   console.error('For health checks, use --health flag or set HEALTH_CHECK=true');
   process.exit(1);
 }
 
-// Determine embedding provider based on available keys
-let embeddingProvider = CONFIG.embeddings.provider;
-if (embeddingProvider === "auto") {
-  if (CONFIG.azure.apiKey && CONFIG.azure.endpoint) {
-    embeddingProvider = "azure";
-  } else if (CONFIG.huggingface.apiKey) {
-    embeddingProvider = "huggingface";
-  } else {
-    embeddingProvider = "none";
-    console.error('⚠️  No embedding provider configured. Vector search and document insertion will be disabled.');
-    console.error('   To enable embeddings, set either:');
-    console.error('   - AZURE_OPENAI_API_KEY + AZURE_OPENAI_ENDPOINT (for Azure OpenAI)');
-    console.error('   - HUGGINGFACE_API_KEY (for Hugging Face)');
+/**
+ * Determine a database's embedding provider from its settings, exiting if they are incomplete
+ */
+function resolveEmbeddingProvider(settings) {
+  const label = settings.name === DEFAULT_DATABASE ? '' : ` for database ${settings.name}`;
+  let provider = settings.provider;
+  if (provider === "auto") {
+    if (settings.azure.apiKey && settings.azure.endpoint) {
+      provider = "azure";
+    } else if (settings.huggingface.apiKey) {
+      provider = "huggingface";
+    } else if (settings.openai.apiKey || settings.openai.baseUrl) {
+      provider = "openai";
+    } else if (settings.ollama.baseUrl) {
+      provider = "ollama";
+    } else if (CONFIG.local.modelPath) {
+      provider = "local";
+    } else {
+      provider = "none";
+      console.error(`⚠️  No embedding provider configured${label}. Vector search and document insertion will be disabled.`);
+      console.error('   To enable embeddings, set either:');
+      console.error('   - AZURE_OPENAI_API_KEY + AZURE_OPENAI_ENDPOINT (for Azure OpenAI)');
+      console.error('   - HUGGINGFACE_API_KEY (for Hugging Face)');
+      console.error('   - OPENAI_API_KEY and/or OPENAI_BASE_URL (for OpenAI-compatible endpoints)');
+      console.error('   - OLLAMA_BASE_URL (for Ollama)');
+      console.error('   - LOCAL_EMBEDDING_MODEL_PATH (for a local in-process model)');
+    }
+  }
+  
+  if (provider === "huggingface" && !settings.huggingface.apiKey) {
+    console.error(`ERROR: HUGGINGFACE_API_KEY is required when using Hugging Face embeddings${label}`);
+    process.exit(1);
+  }
+  
+  if (provider === "openai" && !settings.openai.apiKey && !settings.openai.baseUrl) {
+    console.error(`ERROR: OPENAI_API_KEY or OPENAI_BASE_URL is required when using OpenAI-compatible embeddings${label}`);
+    process.exit(1);
   }
+  
+  if (provider === "ollama" && !settings.ollama.baseUrl) {
+    settings.ollama.baseUrl = "http://localhost:11434";
+  }
+  
+  // Validate the local model directory if needed (the model itself loads on first use)
+  if (provider === "local") {
+    if (!CONFIG.local.modelPath) {
+      console.error(`ERROR: LOCAL_EMBEDDING_MODEL_PATH is required when using local embeddings${label}`);
+      process.exit(1);
+    }
+    const modelDir = resolve(CONFIG.local.modelPath, settings.local.model);
+    if (!existsSync(modelDir)) {
+      console.error(`ERROR: Local embedding model not found at ${modelDir}`);
+      console.error(`   Download ${settings.local.model} into LOCAL_EMBEDDING_MODEL_PATH first`);
+      process.exit(1);
+    }
+  }
+  
+  console.error(`🔧 Embedding provider${label}: ${provider}`);
+  return provider;
 }
 
-// Initialize Hugging Face client if needed
-let hfClient = null;
-if (embeddingProvider === "huggingface") {
-  if (!CONFIG.huggingface.apiKey) {
-    console.error('ERROR: HUGGINGFACE_API_KEY is required when using Hugging Face embeddings');
+// Configured column mappings for tables that don't use the default column
+// names; each database starts from a copy, which register_table then extends
+const configuredMappings = createMappingRegistry();
+if (CONFIG.tables.mappingsFile) {
+  try {
+    const count = loadMappingsFile(CONFIG.tables.mappingsFile, configuredMappings);
+    console.error(`🗺️  Loaded ${count} table column mapping(s) from ${CONFIG.tables.mappingsFile}`);
+  } catch (error) {
+    console.error(`ERROR: Could not load TABLE_MAPPINGS_FILE: ${error.message}`);
     process.exit(1);
   }
-  hfClient = new HfInference(CONFIG.huggingface.apiKey);
+}
+for (const [table, mapping] of Object.entries(CONFIG.tables.mappings)) {
+  const { schema, name } = parseTableName(table);
+  configuredMappings.set(schema, name, mapping);
+}
+
+// Database connections (lazy initialization), one per configured database
+const databases = new Map();
+for (const settings of listDatabases(CONFIG)) {
+  databases.set(settings.name, createDatabase(settings));
+}
+
+// Used when a call names no database: DATABASE_URL, or else the first named database
+const defaultDatabase = databases.values().next().value;
+
+// The database the current tool call, prompt or command runs against
+const databaseContext = new AsyncLocalStorage();
+
+/**
+ * Connection state, embedding provider and caches of one configured database
+ */
+function createDatabase(settings) {
+  // --read-only and READ_ONLY apply to every database
+  settings.readOnly = settings.readOnly || CONFIG.tools.readOnly;
+  
+  const database = {
+    name: settings.name,
+    settings,
+    pool: null,
+    status: 'not_attempted',
+    embeddingProvider: resolveEmbeddingProvider(settings),
+    hfClient: null,
+    // Tables the tools may touch
+    tablePolicy: createTablePolicy({
+      allow: CONFIG.access.allowTables,
+      deny: CONFIG.access.denyTables
+    }),
+    tableMappings: createMappingRegistry(),
+  };
+  for (const { table, mapping } of configuredMappings.entries()) {
+    const { schema, name } = parseTableName(table);
+    database.tableMappings.set(schema, name, mapping);
+  }
+  if (database.embeddingProvider === "huggingface") {
+    database.hfClient = new HfInference(settings.huggingface.apiKey);
+  }
+  
+  const getPool = () => ensurePoolConnection(database);
+  
+  // Embedding cache (in-memory LRU plus optional Postgres table)
+  database.embeddingCache = CONFIG.embeddings.cache.enabled
+    ? createEmbeddingCache({
+        maxEntries: CONFIG.embeddings.cache.maxEntries,
+        // The Postgres layer writes, so it is skipped in read-only mode
+        table: CONFIG.embeddings.cache.table && !settings.readOnly ? quoteQualifiedName(CONFIG.embeddings.cache.table) : null,
+        getPool
+      })
+    : null;
+  
+  // Which provider and model filled each vector column
+  database.modelRegistry = createModelRegistry({
+    table: quoteQualifiedName(CONFIG.embeddings.modelTable),
+    getPool
+  });
+  
+  return database;
+}
+
+function currentDatabase() {
+  return databaseContext.getStore() ?? defaultDatabase;
 }
 
-console.error(`🔧 Embedding provider: ${embeddingProvider}`);
+/**
+ * Look up the database named by a `database` argument (the default one when omitted)
+ */
+function getDatabase(name) {
+  if (name === undefined || name === null) {
+    return defaultDatabase;
+  }
+  const database = databases.get(name);
+  if (!database) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown database: ${name} (expected one of ${[...databases.keys()].join(', ')})`);
+  }
+  return database;
+}
 
-// Initialize PostgreSQL connection (lazy initialization)
-let pool = null;
-let dbConnectionStatus = 'not_attempted';
+/**
+ * " <name>" for log lines when several databases are configured
+ */
+function databaseLabel(database) {
+  return databases.size > 1 ? ` ${database.name}` : '';
+}
 
-async function initializeDatabase() {
+async function initializeDatabase(database = currentDatabase()) {
+  const { settings } = database;
   if (isHealthCheck) {
-    console.error('🏥 Health check mode - skipping database connection');
-    dbConnectionStatus = 'skipped_health_check';
+    console.error(`🏥 Health check mode - skipping database${databaseLabel(database)} connection`);
+    database.status = 'skipped_health_check';
     return;
   }
   
-  if (!CONFIG.db.connectionString) {
+  if (!settings.connectionString) {
     console.error('⚠️  No DATABASE_URL provided - running in connection-less mode');
-    dbConnectionStatus = 'no_url';
+    database.status = 'no_url';
     return;
   }
 
   try {
-    pool = new Pool({
-      connectionString: CONFIG.db.connectionString,
+    const options = getConnectionOptions(settings);
+    database.pool = new Pool({
+      connectionString: settings.connectionString,
+      max: settings.poolSize,
+      ...(options ? { options } : {}),
     });
     
-    const client = await pool.connect();
+    const client = await database.pool.connect();
     await client.query('SELECT 1');
     client.release();
-    console.error('✅ Database connected successfully');
-    dbConnectionStatus = 'connected';
+    console.error(`✅ Database${databaseLabel(database)} connected successfully`);
+    database.status = 'connected';
   } catch (error) {
-    console.error('❌ Database connection failed:', error.message);
+    console.error(`❌ Database${databaseLabel(database)} connection failed:`, error.message);
     console.error('🔄 Server will continue in limited mode (schema tools disabled)');
-    dbConnectionStatus = 'failed';
-    pool = null;
+    database.status = 'failed';
+    database.pool = null;
+  }
+  
+  if (database.status === 'connected') {
+    await databaseContext.run(database, validateTableMappings);
+  }
+}
+
+/**
+ * Check configured column mappings against the catalog (warnings only, tables may appear later)
+ */
+async function validateTableMappings() {
+  for (const { table } of currentDatabase().tableMappings.entries()) {
+    try {
+      await getTableColumns(await resolveTable(table));
+      console.error(`✅ Column mapping for ${table} is valid`);
+    } catch (error) {
+      console.error(`⚠️  Column mapping for ${table}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Session settings sent with every new connection to a database
+ */
+function getConnectionOptions(settings) {
+  const options = [];
+  
+  // Let PostgreSQL enforce read-only mode as well, not just the tool list
+  if (settings.readOnly) {
+    options.push('default_transaction_read_only=on');
+  }
+  
+  // Only override the role's search_path when schemas were configured explicitly
+  if (settings.defaultSchema !== 'public' || settings.searchPath.length > 0) {
+    options.push(`search_path=${getSchemaSearchOrder(settings).map(quoteIdentifier).join(',')}`);
   }
+  
+  // Spaces inside a setting must be backslash-escaped in the startup options string
+  return options.map(option => `-c ${option.replace(/\\/g, '\\\\').replace(/ /g, '\\ ')}`).join(' ');
+}
+
+/**
+ * Schemas searched, in order, for bare table names
+ */
+function getSchemaSearchOrder(settings = currentDatabase().settings) {
+  return [...new Set([settings.defaultSchema, ...settings.searchPath])];
 }
 
-async function ensurePoolConnection() {
-  if (dbConnectionStatus === 'not_attempted') {
-    await initializeDatabase();
+async function ensurePoolConnection(database = currentDatabase()) {
+  if (database.status === 'not_attempted') {
+    await initializeDatabase(database);
   }
   
-  if (!pool) {
-    throw new Error('Database connection not available. Please check DATABASE_URL and ensure PostgreSQL is accessible.');
+  if (!database.pool) {
+    throw new Error(`Database${databaseLabel(database)} connection not available. Please check its connection string and ensure PostgreSQL is accessible.`);
   }
   
-  return pool;
+  return database.pool;
 }
 
 /**
- * Generate embeddings using the configured provider
+ * Generate an embedding for a single text using the configured provider
  */
 async function generateEmbedding(text) {
+  const [embedding] = await generateEmbeddings([text]);
+  return embedding;
+}
+
+/**
+ * Generate embeddings for a batch of texts, serving repeats from the embedding cache
+ */
+async function generateEmbeddings(texts) {
+  const { embeddingProvider, embeddingCache } = currentDatabase();
   if (embeddingProvider === "none") {
-    throw new Error("No embedding provider configured. Please set up Azure OpenAI or Hugging Face credentials.");
+    throw new Error("No embedding provider configured. Please configure Azure OpenAI, OpenAI-compatible, Ollama, Hugging Face or local embeddings.");
+  }
+  
+  if (!embeddingCache) {
+    return await requestEmbeddings(texts);
   }
   
+  const model = getEmbeddingModel();
+  const embeddings = await embeddingCache.lookup(embeddingProvider, model, texts);
+  
+  // Only send each distinct missing text to the provider once
+  const missing = [...new Set(texts.filter((text, index) => embeddings[index] === undefined))];
+  if (missing.length > 0) {
+    const generated = await requestEmbeddings(missing);
+    await embeddingCache.store(embeddingProvider, model, missing, generated);
+    
+    const byText = new Map(missing.map((text, index) => [text, generated[index]]));
+    texts.forEach((text, index) => {
+      if (embeddings[index] === undefined) {
+        embeddings[index] = byText.get(text);
+      }
+    });
+  }
+  
+  return embeddings;
+}
+
+/**
+ * Identify the model behind a database's provider (part of the embedding cache key)
+ */
+function getEmbeddingModel(database = currentDatabase()) {
+  const { azure, openai, huggingface, ollama, local } = database.settings;
+  switch (database.embeddingProvider) {
+    case "azure":
+      return azure.dimensions ? `${azure.deployment}@${azure.dimensions}` : azure.deployment;
+    case "openai":
+      return openai.dimensions ? `${openai.model}@${openai.dimensions}` : openai.model;
+    case "huggingface":
+      return huggingface.model;
+    case "ollama":
+      return ollama.model;
+    case "local":
+      return local.model;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Request embeddings from the configured provider
+ */
+async function requestEmbeddings(texts) {
+  const { embeddingProvider } = currentDatabase();
   try {
     switch (embeddingProvider) {
       case "azure":
-        return await generateAzureEmbedding(text);
+        return await generateAzureEmbeddings(texts);
       case "huggingface":
-        return await generateHuggingFaceEmbedding(text);
+        return await generateHuggingFaceEmbeddings(texts);
+      case "openai":
+        return await generateOpenAIEmbeddings(texts);
+      case "ollama":
+        return await generateOllamaEmbeddings(texts);
+      case "local":
+        return await generateLocalEmbeddings(texts);
       default:
         throw new Error(`Unknown embedding provider: ${embeddingProvider}`);
     }
@@ -149,179 +441,902 @@ async function generateEmbedding(text) {
 /**
  * Generate embeddings using Azure OpenAI
  */
-async function generateAzureEmbedding(text) {
-  const url = `${CONFIG.azure.endpoint}openai/deployments/text-embedding-ada-002/embeddings?api-version=2023-05-15`;
+async function generateAzureEmbeddings(texts) {
+  const { azure } = currentDatabase().settings;
+  const endpoint = azure.endpoint.replace(/\/+$/, '');
+  const url = `${endpoint}/openai/deployments/${encodeURIComponent(azure.deployment)}/embeddings?api-version=${encodeURIComponent(azure.apiVersion)}`;
+  
+  const body = {
+    input: texts,
+    model: azure.deployment
+  };
+  if (azure.dimensions) {
+    body.dimensions = azure.dimensions;
+  }
   
-  const response = await axios.post(url, {
-    input: text,
-    model: "text-embedding-ada-002"
-  }, {
+  const response = await axios.post(url, body, {
     headers: {
       'Content-Type': 'application/json',
-      'api-key': CONFIG.azure.apiKey
+      'api-key': azure.apiKey
     }
   });
   
-  return response.data.data[0].embedding;
+  return sortedEmbeddings(response.data.data);
+}
+
+/**
+ * Generate embeddings using an OpenAI-compatible API (OpenAI, vLLM, LiteLLM, ...)
+ */
+async function generateOpenAIEmbeddings(texts) {
+  const { openai } = currentDatabase().settings;
+  const baseUrl = (openai.baseUrl || "https://api.openai.com/v1").replace(/\/+$/, '');
+  let url = openai.deployment
+    ? `${baseUrl}/deployments/${encodeURIComponent(openai.deployment)}/embeddings`
+    : `${baseUrl}/embeddings`;
+  if (openai.apiVersion) {
+    url += `?api-version=${encodeURIComponent(openai.apiVersion)}`;
+  }
+  
+  const body = {
+    input: texts,
+    model: openai.model
+  };
+  if (openai.dimensions) {
+    body.dimensions = openai.dimensions;
+  }
+  
+  const headers = { 'Content-Type': 'application/json' };
+  if (openai.apiKey) {
+    headers['Authorization'] = `Bearer ${openai.apiKey}`;
+  }
+  
+  const response = await axios.post(url, body, { headers });
+  
+  return sortedEmbeddings(response.data.data);
+}
+
+/**
+ * OpenAI-style responses carry an index per input; don't rely on array order
+ */
+function sortedEmbeddings(data) {
+  return [...data]
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+}
+
+/**
+ * Generate embeddings using Ollama (/api/embeddings takes one prompt per request)
+ */
+async function generateOllamaEmbeddings(texts) {
+  const { ollama } = currentDatabase().settings;
+  const url = `${ollama.baseUrl.replace(/\/+$/, '')}/api/embeddings`;
+  const embeddings = [];
+  
+  for (const text of texts) {
+    const response = await axios.post(url, {
+      model: ollama.model,
+      prompt: text
+    }, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    embeddings.push(response.data.embedding);
+  }
+  
+  return embeddings;
 }
 
 /**
  * Generate embeddings using Hugging Face
  */
-async function generateHuggingFaceEmbedding(text) {
-  const response = await hfClient.featureExtraction({
-    model: CONFIG.huggingface.model,
-    inputs: text
+async function generateHuggingFaceEmbeddings(texts) {
+  const { huggingface } = currentDatabase().settings;
+  const response = await currentDatabase().hfClient.featureExtraction({
+    model: huggingface.model,
+    inputs: texts
   });
   
-  // Convert response to array if needed
-  return Array.isArray(response) ? response : Array.from(response);
+  // Convert response rows to arrays if needed
+  return Array.from(response, row => Array.isArray(row) ? row : Array.from(row));
 }
 
+// Local feature-extraction pipelines by model id (each loaded once, on first use)
+const localExtractors = new Map();
+let transformersReady = null;
+
 /**
- * Get the embedding column name for a table
+ * Load @huggingface/transformers, pointed once at LOCAL_EMBEDDING_MODEL_PATH
+ *
+ * Its `env` is global to the process, so every database loads its local
+ * model from the same directory and nothing is fetched over the network.
  */
-async function getEmbeddingColumnName(tableName) {
-  const currentPool = await ensurePoolConnection();
-  const client = await currentPool.connect();
-  try {
-    const result = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = $1 
-      AND table_schema = 'public'
-      AND (column_name LIKE '%embedding%' OR data_type = 'USER-DEFINED')
-      ORDER BY 
-        CASE 
-          WHEN column_name = 'embedding' THEN 1
-          WHEN column_name = 'content_embedding' THEN 2
-          ELSE 3
-        END
-      LIMIT 1
-    `, [tableName]);
-    
-    return result.rows[0]?.column_name || 'embedding';
-  } finally {
-    client.release();
+function loadTransformers() {
+  if (!transformersReady) {
+    transformersReady = import('@huggingface/transformers').then((transformers) => {
+      const { env } = transformers;
+      env.localModelPath = resolve(CONFIG.local.modelPath);
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      return transformers;
+    }, () => {
+      transformersReady = null;
+      throw new Error('Local embeddings require the optional @huggingface/transformers package (npm install @huggingface/transformers)');
+    });
   }
+  return transformersReady;
 }
 
 /**
- * Perform vector similarity search
+ * Load the local sentence-transformer model without touching the network
+ */
+async function getLocalExtractor() {
+  const { model } = currentDatabase().settings.local;
+  if (!localExtractors.has(model)) {
+    localExtractors.set(model, loadTransformers()
+      .then(({ pipeline }) => pipeline('feature-extraction', model))
+      .catch((error) => {
+        localExtractors.delete(model);
+        throw error;
+      }));
+  }
+  
+  return localExtractors.get(model);
+}
+
+/**
+ * Generate embeddings using a local in-process model on CPU
+ */
+async function generateLocalEmbeddings(texts) {
+  const extractor = await getLocalExtractor();
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  
+  return output.tolist();
+}
+
+/**
+ * Resolve a caller-supplied table name against the catalog and the table policy
+ *
+ * Returns { schema, name, sql } where `sql` is the quoted, schema-qualified
+ * name to interpolate into queries.
  */
-async function vectorSearch(query, table = 'document_embeddings', limit = 5, similarityThreshold = 0.5) {
+async function resolveTable(table) {
+  const { tablePolicy } = currentDatabase();
+  let parsed;
+  try {
+    parsed = parseTableName(table);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+  
+  const displayName = parsed.schema ? `${parsed.schema}.${parsed.name}` : parsed.name;
+  
+  // Bare names are looked up along the configured schema search order
+  const candidates = parsed.schema ? [parsed.schema] : getSchemaSearchOrder();
+  
+  // Check the policy first so denied tables don't reveal whether they exist
+  const permitted = candidates.filter(schema => tablePolicy.isAllowed(schema, parsed.name));
+  if (permitted.length === 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Access to table "${displayName}" is not permitted by this server's table policy`
+    );
+  }
+  
   const currentPool = await ensurePoolConnection();
   const client = await currentPool.connect();
   try {
-    // Generate embedding for the query
-    const queryEmbedding = await generateEmbedding(query);
-    
-    // Get the correct embedding column name for this table
-    const embeddingColumn = await getEmbeddingColumnName(table);
-    
-    // Perform cosine similarity search
-    const sqlQuery = `
-      SELECT 
-        id,
-        content,
-        metadata,
-        1 - (${embeddingColumn} <=> $1::vector) as similarity,
-        created_at
-      FROM ${table}
-      WHERE 1 - (${embeddingColumn} <=> $1::vector) > $2
-      ORDER BY ${embeddingColumn} <=> $1::vector
-      LIMIT $3
-    `;
+    const result = await client.query(`
+      SELECT n.nspname AS schema_name, c.relname AS table_name
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY($1::text[])
+      AND c.relname = $2
+      AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+    `, [permitted, parsed.name]);
     
-    const result = await client.query(sqlQuery, [
-      `[${queryEmbedding.join(',')}]`,
-      similarityThreshold,
-      limit
-    ]);
+    const schema = permitted.find(candidate => result.rows.some(row => row.schema_name === candidate));
+    if (!schema) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        parsed.schema
+          ? `Table "${displayName}" does not exist`
+          : `Table "${displayName}" does not exist in schema(s) ${permitted.join(', ')}; use schema.table to pick another schema`
+      );
+    }
     
-    return result.rows;
+    return {
+      schema,
+      name: parsed.name,
+      sql: `${quoteIdentifier(schema)}.${quoteIdentifier(parsed.name)}`
+    };
   } finally {
     client.release();
   }
 }
 
 /**
- * Search by metadata filters
+ * Resolve the logical columns (id, content, metadata, timestamp, embedding) of a resolved table
+ *
+ * Uses the registered column mapping unless one is passed in, falling back to
+ * the default column names. All returned names are quoted for use in SQL.
  */
-async function metadataSearch(filters = {}, table = 'document_embeddings', limit = 10) {
+async function getTableColumns(target, mapping = currentDatabase().tableMappings.get(target.schema, target.name)) {
   const currentPool = await ensurePoolConnection();
   const client = await currentPool.connect();
   try {
-    let whereConditions = [];
-    let params = [];
-    let paramCount = 1;
-    
-    // Build dynamic WHERE clause based on filters
-    Object.entries(filters).forEach(([key, value]) => {
-      whereConditions.push(`metadata ->> '${key}' ILIKE $${paramCount}`);
-      params.push(`%${value}%`);
-      paramCount++;
-    });
-    
-    const whereClause = whereConditions.length > 0 ? 
-      `WHERE ${whereConditions.join(' AND ')}` : '';
-    
-    const sqlQuery = `
-      SELECT 
-        id,
-        content,
-        metadata,
-        created_at
-      FROM ${table}
-      ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT $${paramCount}
-    `;
-    
-    params.push(limit);
+    const result = await client.query(`
+      SELECT a.attname AS "name", t.typname AS "udtName", format_type(a.atttypid, a.atttypmod) AS "dataType"
+      FROM pg_attribute a
+      JOIN pg_type t ON t.oid = a.atttypid
+      WHERE a.attrelid = to_regclass($1)
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      ORDER BY a.attnum
+    `, [target.sql]);
     
-    const result = await client.query(sqlQuery, params);
-    return result.rows;
+    try {
+      return resolveColumns(`${target.schema}.${target.name}`, mapping, result.rows);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
   } finally {
     client.release();
   }
 }
 
 /**
- * Get detailed table schemas and column information
+ * Get the embedding column from resolved table columns, failing when there is none
+ */
+function requireEmbeddingColumn(target, columns) {
+  if (!columns.embedding) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Table "${target.schema}.${target.name}" has no vector column; map one with register_table or TABLE_MAPPINGS_FILE`
+    );
+  }
+  return columns.embedding;
+}
+
+/**
+ * Get the JSONB column metadata writes go to, failing when there is none
+ */
+function requireMetadataColumn(target, columns) {
+  if (!columns.metadataColumn) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Table "${target.schema}.${target.name}" has no JSONB metadata column to write metadata to`
+    );
+  }
+  return columns.metadataColumn;
+}
+
+/**
+ * Make sure embeddings from the active model can be stored in or compared with a vector column
+ *
+ * `dimensions` is the length of the embeddings about to be used. Fails with
+ * an actionable error when the column's dimension or the model recorded for
+ * it don't match; returns the recorded model, or null if there is none.
+ */
+async function checkEmbeddingCompatibility(target, columns, columnName, dimensions) {
+  const { embeddingProvider, modelRegistry } = currentDatabase();
+  const qualifiedColumn = `${target.schema}.${target.name}.${columnName}`;
+  const activeModel = `${embeddingProvider}/${getEmbeddingModel()}`;
+  const recorded = await modelRegistry.get(target.schema, target.name, columnName);
+  
+  // Declared type first, then the registry, then whatever is already stored
+  let expected = parseVectorDimensions(columns.vectors.find(vector => vector.name === columnName)?.dataType) ?? recorded?.dimensions;
+  if (!expected) {
+    const currentPool = await ensurePoolConnection();
+    const sample = await currentPool.query(
+      `SELECT vector_dims(${quoteIdentifier(columnName)}) AS dimensions FROM ${target.sql} WHERE ${quoteIdentifier(columnName)} IS NOT NULL LIMIT 1`
+    );
+    expected = sample.rows[0]?.dimensions;
+  }
+  
+  if (expected && expected !== dimensions) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Embedding dimension mismatch on ${qualifiedColumn}: the column holds ${expected}-dimensional vectors` +
+      `${recorded ? ` from ${recorded.provider}/${recorded.model}` : ''}, but ${activeModel} produces ${dimensions}. ` +
+      `Configure the matching embedding provider and model (or its dimensions setting), or use a different table.`
+    );
+  }
+  
+  if (CONFIG.embeddings.modelCheck && recorded &&
+      (recorded.provider !== embeddingProvider || recorded.model !== getEmbeddingModel())) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Embedding model mismatch on ${qualifiedColumn}: its embeddings were produced by ${recorded.provider}/${recorded.model}, ` +
+      `but the server is configured for ${activeModel}, so similarities would be meaningless. ` +
+      `Configure ${recorded.provider}/${recorded.model}, migrate the column with reembed_table, ` +
+      `or set EMBEDDING_MODEL_CHECK=false if both names refer to the same model.`
+    );
+  }
+  
+  return recorded;
+}
+
+/**
+ * Remember the active model for a vector column that has no record yet
+ */
+async function recordEmbeddingModel(target, columnName, dimensions) {
+  const { embeddingProvider, modelRegistry } = currentDatabase();
+  await modelRegistry.record(target.schema, target.name, columnName, {
+    provider: embeddingProvider,
+    model: getEmbeddingModel(),
+    dimensions
+  });
+}
+
+/**
+ * Record the active model for a vector column in the transaction open on `client`
+ *
+ * Fails when another writer recorded a different model for the column first,
+ * which rolls the caller's transaction back.
+ */
+async function claimEmbeddingModel(client, target, columnName, dimensions) {
+  const { embeddingProvider, modelRegistry } = currentDatabase();
+  const recorded = await modelRegistry.claim(client, target.schema, target.name, columnName, {
+    provider: embeddingProvider,
+    model: getEmbeddingModel(),
+    dimensions
+  });
+  
+  if (recorded && (recorded.dimensions !== dimensions || (CONFIG.embeddings.modelCheck &&
+      (recorded.provider !== embeddingProvider || recorded.model !== getEmbeddingModel())))) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Embedding model mismatch on ${target.schema}.${target.name}.${columnName}: another writer has just stored ` +
+      `${recorded.dimensions}-dimensional embeddings from ${recorded.provider}/${recorded.model} in it, ` +
+      `but the server is configured for ${embeddingProvider}/${getEmbeddingModel()}.`
+    );
+  }
+}
+
+/**
+ * Find the distance metric of the vector index on a column, if there is one
  */
-async function getTableSchemas() {
+async function getIndexMetric(target, columnName) {
   const currentPool = await ensurePoolConnection();
-  const client = await currentPool.connect();
-  try {
-    // Get all tables with their columns
-    const tablesQuery = `
-      SELECT 
-        t.table_name,
-        c.column_name,
-        c.data_type,
-        c.is_nullable,
-        c.column_default,
-        c.udt_name,
-        c.character_maximum_length
-      FROM information_schema.tables t
-      LEFT JOIN information_schema.columns c ON t.table_name = c.table_name
-      WHERE t.table_schema = 'public' 
-      AND t.table_type = 'BASE TABLE'
-      ORDER BY t.table_name, c.ordinal_position;
-    `;
+  const result = await currentPool.query(`
+    SELECT opc.opcname AS operator_class
+    FROM pg_index i
+    JOIN pg_class ic ON ic.oid = i.indexrelid
+    JOIN pg_am am ON am.oid = ic.relam
+    JOIN pg_opclass opc ON opc.oid = i.indclass[0]
+    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+    WHERE i.indrelid = to_regclass($1)
+    AND a.attname = $2
+    AND am.amname IN ('hnsw', 'ivfflat')
+    ORDER BY ic.relname
+  `, [target.sql, columnName]);
+  
+  return result.rows.map(row => metricFromOperatorClass(row.operator_class)).find(Boolean) ?? null;
+}
+
+/**
+ * Build the similarity and distance SQL for a vector search
+ *
+ * `embeddingColumn` is a column name, or an object of { column: weight } to
+ * rank by the weighted mean of several columns' similarities; it defaults to
+ * the table's embedding column. Without an explicit metric each column uses
+ * the metric its vector index was built for, falling back to cosine.
+ */
+async function buildVectorScore(target, columns, { metric, embeddingColumn } = {}, vectorParam = '$1::vector') {
+  if (metric !== undefined) {
+    try {
+      getMetric(metric);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+  }
+  
+  let weights;
+  if (embeddingColumn === undefined || embeddingColumn === null) {
+    requireEmbeddingColumn(target, columns);
+    weights = { [columns.names.embedding]: 1 };
+  } else if (typeof embeddingColumn === 'string') {
+    weights = { [embeddingColumn]: 1 };
+  } else if (typeof embeddingColumn === 'object' && !Array.isArray(embeddingColumn) && Object.keys(embeddingColumn).length > 0) {
+    weights = embeddingColumn;
+  } else {
+    throw new McpError(ErrorCode.InvalidParams, 'embedding_column must be a column name or an object of column weights');
+  }
+  
+  const parts = [];
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!columns.vectors.some(column => column.name === name)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Column "${name}" is not a vector column of ${target.schema}.${target.name} ` +
+        `(vector columns: ${columns.vectors.map(column => column.name).join(', ') || 'none'})`
+      );
+    }
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw new McpError(ErrorCode.InvalidParams, `Weight for embedding column "${name}" must be a positive number`);
+    }
+    
+    const metricName = metric || await getIndexMetric(target, name) || 'cosine';
+    const distance = `${quoteIdentifier(name)} ${getMetric(metricName).operator} ${vectorParam}`;
+    parts.push({ column: name, weight, metric: metricName, distance, similarity: getMetric(metricName).similarity(distance) });
+  }
+  
+  // A single column keeps ordering by the raw distance so the ANN index can be used
+  if (parts.length === 1) {
+    return { similarity: parts[0].similarity, distance: parts[0].distance, parts };
+  }
+  
+  const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+  const similarity = `((${parts.map(part => `${part.weight} * ${part.similarity}`).join(' + ')}) / ${totalWeight})`;
+  return { similarity, distance: `-${similarity}`, parts };
+}
+
+/**
+ * Select list exposing the logical columns under their default names
+ */
+function selectDocumentColumns(columns) {
+  return `${columns.id} AS id,
+        ${columns.content} AS content,
+        ${columns.metadata} AS metadata,
+        ${columns.createdAt || 'NULL::timestamp'} AS created_at`;
+}
+
+/**
+ * Read a result limit, capped by the configured maximum
+ */
+function getResultLimit(limit, defaultLimit, maxLimit) {
+  if (limit === undefined || limit === null) {
+    return Math.min(defaultLimit, maxLimit);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new McpError(ErrorCode.InvalidParams, `limit must be an integer from 1 to ${maxLimit}`);
+  }
+  return limit;
+}
+
+/**
+ * Read a page request ({ offset, cursor }), reporting problems as invalid params
+ */
+function getPageStart(page, fingerprint) {
+  try {
+    return resolvePageStart(page, fingerprint);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+}
+
+/**
+ * Perform vector similarity search
+ *
+ * Returns a page of results ordered by (distance, id): { results, hasMore, nextCursor }.
+ */
+async function vectorSearch(query, table = CONFIG.tables.defaultTable, limit = 5, similarityThreshold = 0.5, filters = null, options = {}) {
+  const { collapseChunks = false, metric, embeddingColumn, efSearch, probes, page } = options;
+  const tuning = getSearchTuning({ efSearch, probes });
+  const target = await resolveTable(table);
+  const fingerprint = searchFingerprint({
+    tool: 'vector_search', database: currentDatabase().name, table: target.sql, query, similarityThreshold, filters, collapseChunks, metric, embeddingColumn
+  });
+  const { after, offset } = getPageStart(page, fingerprint);
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    // Generate embedding for the query
+    const queryEmbedding = await generateEmbedding(query);
+    
+    // Resolve the mapped columns, embedding column(s) and distance metric for this table
+    const columns = await getTableColumns(target);
+    const score = await buildVectorScore(target, columns, { metric, embeddingColumn });
+    for (const part of score.parts) {
+      await checkEmbeddingCompatibility(target, columns, part.column, queryEmbedding.length);
+    }
+    
+    const params = [
+      `[${queryEmbedding.join(',')}]`,
+      similarityThreshold,
+      limit + 1,
+      offset
+    ];
+    
+    // Optional metadata pre-filter applied inside the similarity query
+    const filterClause = compileFilter(filters, params, columns.metadata);
+    
+    const whereClause = `
+      WHERE ${score.similarity} > $2
+      ${filterClause ? `AND ${filterClause}` : ''}
+    `;
+    
+    // Continue after the last (distance, id) of the previous page
+    const keyset = (distance, id) => after ? keysetCondition(
+      [
+        { sql: distance, direction: 'asc', nulls: 'last', notNull: true },
+        { sql: id, direction: 'asc', nulls: 'last', notNull: true }
+      ],
+      after,
+      (value) => `$${params.push(value)}`
+    ) : '';
+    
+    // Perform similarity search, optionally keeping only the best chunk per parent document
+    let sqlQuery;
+    if (collapseChunks) {
+      const keysetClause = keyset('distance', 'id');
+      sqlQuery = `
+      SELECT id, content, metadata, similarity, created_at, distance
+      FROM (
+        SELECT DISTINCT ON (coalesce(${columns.metadata} ->> 'document_id', ${columns.id}::text))
+          ${selectDocumentColumns(columns)},
+          ${score.similarity} as similarity,
+          ${score.distance} as distance
+        FROM ${target.sql}
+        ${whereClause}
+        ORDER BY coalesce(${columns.metadata} ->> 'document_id', ${columns.id}::text), ${score.distance}
+      ) best_chunks
+      ${keysetClause ? `WHERE ${keysetClause}` : ''}
+      ORDER BY distance, id
+      LIMIT $3 OFFSET $4
+    `;
+    } else {
+      const keysetClause = keyset(score.distance, columns.id);
+      sqlQuery = `
+      SELECT 
+        ${selectDocumentColumns(columns)},
+        ${score.similarity} as similarity,
+        ${score.distance} as distance
+      FROM ${target.sql}
+      ${whereClause}
+      ${keysetClause ? `AND ${keysetClause}` : ''}
+      ORDER BY ${score.distance}, ${columns.id}
+      LIMIT $3 OFFSET $4
+    `;
+    }
+    
+    const result = await withSearchTuning(client, tuning, () => client.query(sqlQuery, params));
+    
+    const { results, ...pageInfo } = buildPage(result.rows, limit, fingerprint, row => [row.distance, row.id]);
+    return { results: results.map(({ distance, ...row }) => row), ...pageInfo };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Validate per-query index tuning, returning the settings to apply
+ */
+function getSearchTuning({ efSearch, probes } = {}) {
+  const settings = [];
+  if (efSearch !== undefined) {
+    if (!Number.isInteger(efSearch) || efSearch < 1 || efSearch > 1000) {
+      throw new McpError(ErrorCode.InvalidParams, 'ef_search must be an integer between 1 and 1000');
+    }
+    settings.push(['hnsw.ef_search', efSearch]);
+  }
+  if (probes !== undefined) {
+    if (!Number.isInteger(probes) || probes < 1) {
+      throw new McpError(ErrorCode.InvalidParams, 'probes must be a positive integer');
+    }
+    settings.push(['ivfflat.probes', probes]);
+  }
+  return settings;
+}
+
+/**
+ * Run a query with index tuning settings that only last for its transaction
+ */
+async function withSearchTuning(client, settings, callback) {
+  if (settings.length === 0) {
+    return await callback();
+  }
+  
+  await client.query('BEGIN');
+  try {
+    for (const [setting, value] of settings) {
+      await client.query('SELECT set_config($1, $2, true)', [setting, String(value)]);
+    }
+    const result = await callback();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+// Ways hybrid_search can combine the vector and keyword rankings
+const FUSION_METHODS = ['rrf', 'weighted'];
+
+/**
+ * Perform hybrid search combining vector similarity with full-text ranking
+ */
+async function hybridSearch(query, table = CONFIG.tables.defaultTable, limit = 5, options = {}) {
+  const { embeddingProvider } = currentDatabase();
+  const {
+    fusion = 'rrf',
+    vectorWeight = 0.5,
+    rrfK = 60,
+    textSearchConfig = 'english',
+    metric,
+    embeddingColumn
+  } = options;
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new McpError(ErrorCode.InvalidParams, `fusion must be one of ${FUSION_METHODS.join(', ')}`);
+  }
+  if (typeof vectorWeight !== 'number' || !(vectorWeight >= 0 && vectorWeight <= 1)) {
+    throw new McpError(ErrorCode.InvalidParams, 'vector_weight must be a number from 0 to 1');
+  }
+  const target = await resolveTable(table);
+  const candidateLimit = Math.max(limit * 4, 20);
+
+  const columns = await getTableColumns(target);
+
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    // Keyword candidates ranked by ts_rank over the content column
+    const keywordQuery = `
+      SELECT
+        ${selectDocumentColumns(columns)},
+        ts_rank(to_tsvector($1::regconfig, ${columns.content}), websearch_to_tsquery($1::regconfig, $2)) as keyword_score
+      FROM ${target.sql}
+      WHERE to_tsvector($1::regconfig, ${columns.content}) @@ websearch_to_tsquery($1::regconfig, $2)
+      ORDER BY keyword_score DESC
+      LIMIT $3
+    `;
+    const keywordResult = await client.query(keywordQuery, [textSearchConfig, query, candidateLimit]);
+
+    // Vector candidates, skipped when no embedding provider is available
+    let vectorRows = [];
+    if (embeddingProvider !== "none") {
+      const queryEmbedding = await generateEmbedding(query);
+      const score = await buildVectorScore(target, columns, { metric, embeddingColumn });
+      for (const part of score.parts) {
+        await checkEmbeddingCompatibility(target, columns, part.column, queryEmbedding.length);
+      }
+
+      const vectorQuery = `
+        SELECT
+          ${selectDocumentColumns(columns)},
+          ${score.similarity} as vector_score
+        FROM ${target.sql}
+        WHERE ${score.parts.map(part => `${quoteIdentifier(part.column)} IS NOT NULL`).join(' AND ')}
+        ORDER BY ${score.distance}
+        LIMIT $2
+      `;
+      const vectorResult = await client.query(vectorQuery, [
+        `[${queryEmbedding.join(',')}]`,
+        candidateLimit
+      ]);
+      vectorRows = vectorResult.rows;
+    }
+
+    return fuseHybridResults(vectorRows, keywordResult.rows, {
+      fusion: embeddingProvider === "none" ? 'keyword' : fusion,
+      vectorWeight,
+      rrfK
+    }).slice(0, limit);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Merge vector and keyword candidate lists into a single ranking
+ */
+function fuseHybridResults(vectorRows, keywordRows, { fusion, vectorWeight, rrfK }) {
+  const hits = new Map();
+  const hitFor = (row) => {
+    const key = String(row.id);
+    if (!hits.has(key)) {
+      hits.set(key, {
+        id: row.id,
+        content: row.content,
+        metadata: row.metadata,
+        created_at: row.created_at,
+        vector_score: null,
+        vector_rank: null,
+        keyword_score: null,
+        keyword_rank: null,
+        fused_score: 0
+      });
+    }
+    return hits.get(key);
+  };
+
+  vectorRows.forEach((row, index) => {
+    const hit = hitFor(row);
+    hit.vector_score = Number(row.vector_score);
+    hit.vector_rank = index + 1;
+  });
+  keywordRows.forEach((row, index) => {
+    const hit = hitFor(row);
+    hit.keyword_score = Number(row.keyword_score);
+    hit.keyword_rank = index + 1;
+  });
+
+  // ts_rank is unbounded, so scale it against the best keyword hit for weighted fusion
+  const maxKeywordScore = keywordRows.reduce((max, row) => Math.max(max, Number(row.keyword_score)), 0);
+
+  for (const hit of hits.values()) {
+    switch (fusion) {
+      case 'keyword':
+        hit.fused_score = hit.keyword_score ?? 0;
+        break;
+      case 'weighted': {
+        const keywordNormalized = maxKeywordScore > 0 ? (hit.keyword_score ?? 0) / maxKeywordScore : 0;
+        hit.fused_score = vectorWeight * (hit.vector_score ?? 0) + (1 - vectorWeight) * keywordNormalized;
+        break;
+      }
+      default:
+        // Reciprocal rank fusion
+        hit.fused_score =
+          (hit.vector_rank ? vectorWeight / (rrfK + hit.vector_rank) : 0) +
+          (hit.keyword_rank ? (1 - vectorWeight) / (rrfK + hit.keyword_rank) : 0);
+    }
+  }
+
+  return [...hits.values()].sort((a, b) => b.fused_score - a.fused_score);
+}
+
+/**
+ * Resolve an order_by argument into sort keys for metadata_search
+ *
+ * Each entry is a field name or { field, direction, nulls }. Fields are id,
+ * content, created_at, another column of the table, or metadata.<path>.
+ * Nulls sort as in PostgreSQL unless set: last ascending, first descending.
+ */
+function resolveSortKeys(orderBy, columns, params) {
+  if (orderBy === undefined || orderBy === null) {
+    return columns.createdAt ? [{ sql: columns.createdAt, direction: 'desc', nulls: 'first' }] : [];
+  }
+  if (!Array.isArray(orderBy)) {
+    throw new McpError(ErrorCode.InvalidParams, 'order_by must be a list of fields or { field, direction, nulls } objects');
+  }
+  
+  const logical = { id: columns.id, content: columns.content, created_at: columns.createdAt };
+  return orderBy.map((entry) => {
+    const { field, direction = 'asc', nulls } = typeof entry === 'string' ? { field: entry } : entry || {};
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new McpError(ErrorCode.InvalidParams, `order_by direction must be asc or desc, got "${direction}"`);
+    }
+    if (nulls !== undefined && !['first', 'last'].includes(nulls)) {
+      throw new McpError(ErrorCode.InvalidParams, `order_by nulls must be first or last, got "${nulls}"`);
+    }
+    const key = { direction, nulls: nulls || (direction === 'asc' ? 'last' : 'first') };
+    
+    if (typeof field === 'string' && field.startsWith('metadata.')) {
+      try {
+        return { ...key, sql: compilePath(field.slice('metadata.'.length), params, columns.metadata).jsonValue, cast: 'jsonb' };
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, `order_by: ${error.message}`);
+      }
+    }
+    if (Object.hasOwn(logical, field)) {
+      if (!logical[field]) {
+        throw new McpError(ErrorCode.InvalidParams, `Cannot order by ${field}: the table has no timestamp column`);
+      }
+      return { ...key, sql: logical[field] };
+    }
+    if (columns.names.all.includes(field)) {
+      return { ...key, sql: quoteIdentifier(field) };
+    }
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown order_by field "${field}" (expected id, content, created_at, a column of the table or metadata.<path>)`
+    );
+  });
+}
+
+/**
+ * Search by metadata filters
+ *
+ * Returns a page of results, newest first unless `orderBy` is given:
+ * { results, hasMore, nextCursor }.
+ */
+async function metadataSearch(filters = {}, table = CONFIG.tables.defaultTable, limit = 10, page = {}, orderBy = null) {
+  const target = await resolveTable(table);
+  const columns = await getTableColumns(target);
+  const fingerprint = searchFingerprint({ tool: 'metadata_search', database: currentDatabase().name, table: target.sql, filters, orderBy });
+  const { after, offset } = getPageStart(page, fingerprint);
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    const params = [];
+    
+    // Build dynamic WHERE clause from the filter language (see filters.js)
+    const conditions = [];
+    const filterClause = compileFilter(filters, params, columns.metadata);
+    if (filterClause) {
+      conditions.push(filterClause);
+    }
+    
+    // The primary key breaks ties, following the direction of the first sort key
+    const sortKeys = resolveSortKeys(orderBy, columns, params);
+    const idDirection = sortKeys[0]?.direction || 'desc';
+    sortKeys.push({ sql: columns.id, direction: idDirection, nulls: idDirection === 'asc' ? 'last' : 'first', notNull: true });
+    if (after) {
+      if (after.length !== sortKeys.length) {
+        throw new McpError(ErrorCode.InvalidParams, 'Invalid cursor');
+      }
+      conditions.push(keysetCondition(sortKeys, after, (value) => `$${params.push(value)}`));
+    }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    
+    params.push(limit + 1, offset);
+    
+    // Sort keys are also read as text so cursors keep their full precision
+    const sqlQuery = `
+      SELECT 
+        ${selectDocumentColumns(columns)},
+        ${sortKeys.map((key, index) => `${key.sql}::text AS sort_key_${index}`).join(',\n        ')}
+      FROM ${target.sql}
+      ${whereClause}
+      ORDER BY ${orderByClause(sortKeys)}
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+    
+    const result = await client.query(sqlQuery, params);
+    const keyOf = (row) => sortKeys.map((key, index) => row[`sort_key_${index}`]);
+    const { results, ...pageInfo } = buildPage(result.rows, limit, fingerprint, keyOf);
+    return {
+      results: results.map(row => Object.fromEntries(Object.entries(row).filter(([name]) => !name.startsWith('sort_key_')))),
+      ...pageInfo
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get detailed table schemas and column information
+ *
+ * Pass a resolved table to describe only that table.
+ */
+async function getTableSchemas(only = null) {
+  const { modelRegistry, tablePolicy, tableMappings } = currentDatabase();
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    // Get all readable tables in every non-system schema with their columns
+    const tablesQuery = `
+      SELECT 
+        t.table_schema,
+        t.table_name,
+        c.column_name,
+        c.data_type,
+        c.is_nullable,
+        c.column_default,
+        c.udt_name,
+        c.character_maximum_length
+      FROM information_schema.tables t
+      LEFT JOIN information_schema.columns c
+        ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+      WHERE t.table_schema NOT IN ('pg_catalog', 'information_schema')
+      AND t.table_schema NOT LIKE 'pg_toast%'
+      AND t.table_type = 'BASE TABLE'
+      AND has_table_privilege(format('%I.%I', t.table_schema, t.table_name), 'SELECT')
+      ${only ? 'AND t.table_schema = $1 AND t.table_name = $2' : ''}
+      ORDER BY t.table_schema, t.table_name, c.ordinal_position;
+    `;
     
-    const result = await client.query(tablesQuery);
+    const result = await client.query(tablesQuery, only ? [only.schema, only.name] : []);
     const tables = {};
     
-    // Group columns by table
+    // Group columns by table, hiding tables outside the table policy
     result.rows.forEach(row => {
-      if (!tables[row.table_name]) {
-        tables[row.table_name] = {
+      if (!tablePolicy.isAllowed(row.table_schema, row.table_name)) {
+        return;
+      }
+      const key = `${row.table_schema}.${row.table_name}`;
+      if (!tables[key]) {
+        tables[key] = {
+          schema: row.table_schema,
           name: row.table_name,
+          qualifiedName: key,
           columns: [],
           embeddingColumns: [],
           vectorDimensions: {},
+          embeddingModels: {},
+          columnMapping: tableMappings.get(row.table_schema, row.table_name),
           rowCount: 0
         };
       }
@@ -336,50 +1351,62 @@ async function getTableSchemas() {
           maxLength: row.character_maximum_length
         };
         
-        tables[row.table_name].columns.push(column);
+        tables[key].columns.push(column);
         
         // Detect embedding columns
-        if (row.column_name.includes('embedding') && row.udt_name === 'vector') {
-          tables[row.table_name].embeddingColumns.push(row.column_name);
+        if (row.udt_name === 'vector') {
+          tables[key].embeddingColumns.push(row.column_name);
         }
       }
     });
     
+    // Attach the recorded embedding model of each vector column
+    for (const model of await modelRegistry.list()) {
+      const table = tables[`${model.table_schema}.${model.table_name}`];
+      if (table?.embeddingColumns.includes(model.column_name)) {
+        table.embeddingModels[model.column_name] = `${model.provider}/${model.model}`;
+      }
+    }
+    
     // Get row counts and vector dimensions
-    for (const tableName of Object.keys(tables)) {
+    for (const table of Object.values(tables)) {
+      const tableSql = `${quoteIdentifier(table.schema)}.${quoteIdentifier(table.name)}`;
       try {
         // Get row count
-        const countResult = await client.query(`SELECT COUNT(*) as count FROM "${tableName}"`);
-        tables[tableName].rowCount = parseInt(countResult.rows[0].count);
+        const countResult = await client.query(`SELECT COUNT(*) as count FROM ${tableSql}`);
+        table.rowCount = parseInt(countResult.rows[0].count);
         
         // Get vector dimensions for embedding columns
-        for (const embeddingCol of tables[tableName].embeddingColumns) {
+        for (const embeddingCol of table.embeddingColumns) {
           try {
             const sampleResult = await client.query(
-              `SELECT array_length(${embeddingCol}::real[], 1) as dimensions 
-               FROM "${tableName}" 
-               WHERE ${embeddingCol} IS NOT NULL 
+              `SELECT array_length(${quoteIdentifier(embeddingCol)}::real[], 1) as dimensions 
+               FROM ${tableSql} 
+               WHERE ${quoteIdentifier(embeddingCol)} IS NOT NULL 
                LIMIT 1`
             );
             if (sampleResult.rows[0]?.dimensions) {
-              tables[tableName].vectorDimensions[embeddingCol] = sampleResult.rows[0].dimensions;
+              table.vectorDimensions[embeddingCol] = sampleResult.rows[0].dimensions;
             }
           } catch (e) {
-            tables[tableName].vectorDimensions[embeddingCol] = 'unknown';
+            table.vectorDimensions[embeddingCol] = 'unknown';
           }
         }
       } catch (e) {
-        tables[tableName].rowCount = 0;
+        table.rowCount = 0;
       }
     }
     
     return {
       tables: Object.values(tables),
+      schemas: groupBySchema(Object.values(tables)),
       usage: {
         vectorSearch: "Use vector_search on tables with embedding columns for semantic similarity",
+        hybridSearch: "Use hybrid_search to combine semantic similarity with exact keyword matches",
         metadataSearch: "Use metadata_search on tables with metadata/jsonb columns for filtering",
-        insertDocument: "Use insert_document to add new content with automatic embeddings",
-        tableParameter: "Specify 'table' parameter to target specific tables in queries"
+        insertDocument: "Use insert_document to add new content with automatic embeddings (insert_documents for batches)",
+        columnMapping: "Use register_table when a table's columns aren't named id, content, metadata, created_at and embedding",
+        tableParameter: `Specify 'table' parameter to target specific tables in queries (schema.table, or a bare name looked up in ${getSchemaSearchOrder().join(', ')})`
       }
     };
   } finally {
@@ -387,44 +1414,211 @@ async function getTableSchemas() {
   }
 }
 
+/**
+ * List the readable tables with vector columns from the catalog alone
+ *
+ * Nothing is scanned: row counts are the planner's estimates (-1 before the
+ * first ANALYZE) and dimensions come from the column types or the registry.
+ */
+async function listVectorTables() {
+  const { modelRegistry, tablePolicy } = currentDatabase();
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    const result = await client.query(`
+      SELECT
+        n.nspname AS table_schema,
+        c.relname AS table_name,
+        c.reltuples::bigint AS estimated_rows,
+        array_agg(a.attname::text ORDER BY a.attnum) AS columns,
+        array_agg(format_type(a.atttypid, a.atttypmod) ORDER BY a.attnum) AS types
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+      JOIN pg_type t ON t.oid = a.atttypid AND t.typname = 'vector'
+      WHERE c.relkind IN ('r', 'p')
+      AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+      AND n.nspname NOT LIKE 'pg_toast%'
+      AND has_table_privilege(c.oid, 'SELECT')
+      GROUP BY n.nspname, c.relname, c.reltuples
+      ORDER BY n.nspname, c.relname
+    `);
+    
+    const records = await modelRegistry.list();
+    return result.rows
+      .filter(row => tablePolicy.isAllowed(row.table_schema, row.table_name))
+      .map(row => {
+        const table = {
+          schema: row.table_schema,
+          name: row.table_name,
+          qualifiedName: `${row.table_schema}.${row.table_name}`,
+          estimatedRows: Number(row.estimated_rows),
+          embeddingColumns: row.columns,
+          vectorDimensions: {},
+          embeddingModels: {}
+        };
+        row.columns.forEach((column, position) => {
+          const record = records.find(model => model.table_schema === table.schema &&
+            model.table_name === table.name && model.column_name === column);
+          const dimensions = parseVectorDimensions(row.types[position]) ?? record?.dimensions;
+          if (dimensions) {
+            table.vectorDimensions[column] = dimensions;
+          }
+          if (record) {
+            table.embeddingModels[column] = `${record.provider}/${record.model}`;
+          }
+        });
+        return table;
+      });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Fetch one document by primary key, with its full content and metadata
+ */
+async function getDocument(target, id) {
+  const columns = await getTableColumns(target);
+  const currentPool = await ensurePoolConnection();
+  const result = await currentPool.query(
+    `SELECT ${selectDocumentColumns(columns)} FROM ${target.sql} WHERE ${columns.id} = $1`,
+    [id]
+  );
+  if (result.rows.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Document ${id} not found in ${target.schema}.${target.name}`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Group table descriptions by schema name, preserving order
+ */
+function groupBySchema(tables) {
+  const groups = {};
+  for (const table of tables) {
+    (groups[table.schema] = groups[table.schema] || []).push(table);
+  }
+  return groups;
+}
+
+// Largest number of values metadata_facets returns per key
+const MAX_FACET_VALUES = 1000;
+
+/**
+ * Count documents per value of each metadata key, most common values first
+ *
+ * Documents without the key are counted under a null value. Returns the
+ * number of matching documents and, per key, the number of distinct values
+ * and the top `limit` of them.
+ */
+async function metadataFacets(keys, filters = {}, table = CONFIG.tables.defaultTable, limit = 20) {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, 'keys must be a non-empty list of metadata paths');
+  }
+  const target = await resolveTable(table);
+  const columns = await getTableColumns(target);
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    const params = [];
+    const filterClause = compileFilter(filters, params, columns.metadata);
+    const whereClause = filterClause ? `WHERE ${filterClause}` : '';
+    // Chunks of one document count once
+    const documentKey = `coalesce(${columns.metadata} ->> 'document_id', ${columns.id}::text)`;
+    
+    const total = await client.query(`SELECT COUNT(DISTINCT ${documentKey}) as count FROM ${target.sql} ${whereClause}`, params);
+    
+    const facets = [];
+    for (const key of keys) {
+      const keyParams = [...params];
+      let value;
+      try {
+        value = compilePath(key, keyParams, columns.metadata).jsonValue;
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+      keyParams.push(limit);
+      
+      const result = await client.query(`
+        SELECT ${value} AS value, COUNT(DISTINCT ${documentKey}) AS count, COUNT(*) OVER () AS distinct_values
+        FROM ${target.sql}
+        ${whereClause}
+        GROUP BY 1
+        ORDER BY count DESC, value NULLS LAST
+        LIMIT $${keyParams.length}
+      `, keyParams);
+      
+      facets.push({
+        key,
+        distinctValues: parseInt(result.rows[0]?.distinct_values ?? 0),
+        values: result.rows.map(row => ({ value: row.value, count: parseInt(row.count) }))
+      });
+    }
+    
+    return { table: `${target.schema}.${target.name}`, total: parseInt(total.rows[0].count), facets };
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Get database statistics
  */
 async function getDatabaseStats() {
+  const { tablePolicy } = currentDatabase();
   const currentPool = await ensurePoolConnection();
   const client = await currentPool.connect();
   try {
-    // Get all tables with vector columns
+    // Get all readable tables with vector columns in every non-system schema
     const tablesQuery = `
       SELECT 
+        table_schema,
         table_name,
         column_name,
         data_type
       FROM information_schema.columns 
-      WHERE table_schema = 'public' 
-      AND data_type = 'USER-DEFINED'
-      AND column_name LIKE '%embedding%'
-      ORDER BY table_name;
+      WHERE table_schema NOT IN ('pg_catalog', 'information_schema')
+      AND table_schema NOT LIKE 'pg_toast%'
+      AND udt_name = 'vector'
+      AND has_table_privilege(format('%I.%I', table_schema, table_name), 'SELECT')
+      ORDER BY table_schema, table_name, ordinal_position;
     `;
     
     const tables = await client.query(tablesQuery);
     
     const stats = {
       tables: [],
+      schemas: {},
       totalDocuments: 0
     };
     
-    for (const table of tables.rows) {
-      const countQuery = `SELECT COUNT(*) as count FROM "${table.table_name}"`;
+    // Tables with several vector columns are listed (and counted) once
+    const vectorTables = new Map();
+    for (const row of tables.rows) {
+      if (!tablePolicy.isAllowed(row.table_schema, row.table_name)) {
+        continue;
+      }
+      const key = `${row.table_schema}.${row.table_name}`;
+      if (!vectorTables.has(key)) {
+        vectorTables.set(key, { schema: row.table_schema, name: row.table_name, embeddingColumns: [] });
+      }
+      vectorTables.get(key).embeddingColumns.push(row.column_name);
+    }
+    
+    for (const [qualifiedName, table] of vectorTables) {
+      const countQuery = `SELECT COUNT(*) as count FROM ${quoteIdentifier(table.schema)}.${quoteIdentifier(table.name)}`;
       const count = await client.query(countQuery);
+      const documentCount = parseInt(count.rows[0].count);
       
       stats.tables.push({
-        name: table.table_name,
-        embeddingColumn: table.column_name,
-        documentCount: parseInt(count.rows[0].count)
+        ...table,
+        qualifiedName,
+        documentCount
       });
       
-      stats.totalDocuments += parseInt(count.rows[0].count);
+      stats.schemas[table.schema] = (stats.schemas[table.schema] || 0) + documentCount;
+      stats.totalDocuments += documentCount;
     }
     
     return stats;
@@ -436,56 +1630,1116 @@ async function getDatabaseStats() {
 /**
  * Insert document with embedding
  */
-async function insertDocument(content, metadata = {}, table = 'document_embeddings') {
+async function insertDocument(content, metadata = {}, table = CONFIG.tables.defaultTable) {
+  const target = await resolveTable(table);
   const currentPool = await ensurePoolConnection();
   const client = await currentPool.connect();
   try {
     // Generate embedding
     const embedding = await generateEmbedding(content);
     
-    // Get the correct embedding column name for this table
-    const embeddingColumn = await getEmbeddingColumnName(table);
+    // Resolve the mapped columns for this table
+    const columns = await getTableColumns(target);
     
-    const query = `
-      INSERT INTO ${table} (content, metadata, ${embeddingColumn}, created_at)
-      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
-      RETURNING id
-    `;
-    
-    const result = await client.query(query, [
-      content,
-      JSON.stringify(metadata),
-      `[${embedding.join(',')}]`
-    ]);
-    
-    return result.rows[0].id;
+    await client.query('BEGIN');
+    const [id] = await writeDocuments(client, target, columns, [{ content, metadata }], [embedding], [0]);
+    await client.query('COMMIT');
+    return id;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
   } finally {
     client.release();
   }
 }
 
-// Create MCP server
-const server = new Server(
-  {
-    name: CONFIG.server.name,
-    version: CONFIG.server.version,
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+// Rows per multi-row INSERT statement (keeps well under the 65535 bind parameter limit)
+const INSERT_CHUNK_SIZE = 500;
 
-// Define available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+// Metadata keys maintained by the server for chunked documents
+const CHUNK_METADATA_KEYS = ['document_id', 'chunk_index', 'chunk_count', 'chunk_start', 'chunk_end', 'chunk_heading'];
+
+/**
+ * Hash document content for change detection and content-keyed upserts
+ */
+function contentHash(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Validate items and embed them in provider-sized batches
+ *
+ * Returns per-item results (status 'pending' for items ready to write) and
+ * the embeddings indexed like the input. Items sharing a `group` (chunks of
+ * one document) fail together.
+ */
+async function embedDocuments(items) {
+  const results = items.map((item, index) => ({ index, status: 'pending', id: null, error: null }));
+  const embeddings = new Array(items.length);
+  
+  // Validate items up front so bad input never reaches the provider
+  const valid = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item.content !== 'string' || item.content.trim() === '') {
+      results[index].status = 'failed';
+      results[index].error = 'content must be a non-empty string';
+    } else if (item.metadata !== undefined && (typeof item.metadata !== 'object' || Array.isArray(item.metadata) || item.metadata === null)) {
+      results[index].status = 'failed';
+      results[index].error = 'metadata must be an object';
+    } else {
+      valid.push(index);
+    }
+  });
+  
+  // Embed in provider-sized batches, isolating failures to single items
+  const batchSize = CONFIG.embeddings.batchSize;
+  for (let start = 0; start < valid.length; start += batchSize) {
+    const batch = valid.slice(start, start + batchSize);
+    try {
+      const batchEmbeddings = await generateEmbeddings(batch.map(index => items[index].content));
+      batch.forEach((index, position) => {
+        embeddings[index] = batchEmbeddings[position];
+      });
+    } catch (batchError) {
+      for (const index of batch) {
+        try {
+          embeddings[index] = await generateEmbedding(items[index].content);
+        } catch (error) {
+          results[index].status = 'failed';
+          results[index].error = error.message;
+        }
+      }
+    }
+  }
+  
+  // Items sharing a group (chunks of one document) are written together or not at all
+  const failedGroups = new Set(
+    results
+      .filter(result => result.status === 'failed' && items[result.index]?.group !== undefined)
+      .map(result => items[result.index].group)
+  );
+  results.forEach(result => {
+    if (result.status === 'pending' && failedGroups.has(items[result.index].group)) {
+      result.status = 'skipped';
+      result.error = 'not inserted because another chunk of the same document failed';
+    }
+  });
+  
+  return { results, embeddings };
+}
+
+/**
+ * Write embedded items with multi-row INSERTs on an open client (no transaction handling)
+ *
+ * `target` is a table resolved by resolveTable and `columns` its mapped
+ * columns from getTableColumns.
+ */
+async function writeDocuments(client, target, columns, items, embeddings, indexes) {
+  const embeddingColumn = requireEmbeddingColumn(target, columns);
+  const hasMetadata = indexes.some(index => Object.keys(items[index].metadata || {}).length > 0);
+  const metadataColumn = hasMetadata ? requireMetadataColumn(target, columns) : columns.metadataColumn;
+  
+  const insertColumns = [columns.content, metadataColumn, embeddingColumn, columns.createdAt].filter(Boolean);
+  const ids = [];
+  if (indexes.length === 0) {
+    return ids;
+  }
+  
+  const dimensions = embeddings[indexes[0]].length;
+  const recorded = await checkEmbeddingCompatibility(target, columns, columns.names.embedding, dimensions);
+  
+  for (let start = 0; start < indexes.length; start += INSERT_CHUNK_SIZE) {
+    const chunk = indexes.slice(start, start + INSERT_CHUNK_SIZE);
+    const params = [];
+    const values = chunk.map((index) => {
+      const placeholders = [];
+      params.push(items[index].content);
+      placeholders.push(`$${params.length}`);
+      if (metadataColumn) {
+        params.push(JSON.stringify(items[index].metadata || {}));
+        placeholders.push(`$${params.length}`);
+      }
+      params.push(`[${embeddings[index].join(',')}]`);
+      placeholders.push(`$${params.length}`);
+      if (columns.createdAt) {
+        placeholders.push('CURRENT_TIMESTAMP');
+      }
+      return `(${placeholders.join(', ')})`;
+    });
+    
+    const query = `
+      INSERT INTO ${target.sql} (${insertColumns.join(', ')})
+      VALUES ${values.join(',\n             ')}
+      RETURNING ${columns.id} AS id
+    `;
+    
+    const result = await client.query(query, params);
+    ids.push(...result.rows.map(row => row.id));
+  }
+  
+  if (!recorded) {
+    await claimEmbeddingModel(client, target, columns.names.embedding, dimensions);
+  }
+  
+  return ids;
+}
+
+/**
+ * Insert a batch of documents with embeddings in a single transaction
+ *
+ * Embeddings are requested in provider-sized batches. Returns one result per
+ * input item; unless allowPartial is set, nothing is written when any item fails.
+ */
+async function insertDocuments(items, table = CONFIG.tables.defaultTable, { allowPartial = false } = {}) {
+  const target = await resolveTable(table);
+  const columns = await getTableColumns(target);
+  const { results, embeddings } = await embedDocuments(items);
+  
+  const failedCount = results.filter(result => result.status === 'failed').length;
+  const toInsert = results.filter(result => result.status === 'pending').map(result => result.index);
+  
+  if ((failedCount > 0 && !allowPartial) || toInsert.length === 0) {
+    toInsert.forEach(index => {
+      results[index].status = 'skipped';
+      results[index].error = 'not inserted because other items failed';
+    });
+    return results;
+  }
+  
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    await client.query('BEGIN');
+    const ids = await writeDocuments(client, target, columns, items, embeddings, toInsert);
+    await client.query('COMMIT');
+    
+    toInsert.forEach((index, position) => {
+      results[index].status = 'inserted';
+      results[index].id = ids[position];
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    toInsert.forEach(index => {
+      results[index].status = 'failed';
+      results[index].error = `transaction rolled back: ${error.message}`;
+    });
+  } finally {
+    client.release();
+  }
+  
+  return results;
+}
+
+/**
+ * Merge a chunking argument over the configured defaults, reporting bad values as invalid params
+ *
+ * When only a size is given, the default overlap is kept below half of it.
+ */
+function resolveChunkOptions(chunking) {
+  const given = chunking || {};
+  const options = { ...CONFIG.chunking, ...given };
+  if (given.size !== undefined && given.overlap === undefined && Number.isInteger(options.size)) {
+    options.overlap = Math.min(options.overlap, Math.floor(options.size / 2));
+  }
+  try {
+    validateChunkOptions(options);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid chunking: ${error.message}`);
+  }
+  return options;
+}
+
+/**
+ * Split items into chunk rows that share a document_id
+ *
+ * Returns the rows to embed (each tagged with the index of its source item as
+ * `group`) and one descriptor per source item.
+ */
+function expandChunks(items, chunking = {}) {
+  const chunkOptions = resolveChunkOptions(chunking);
+  const expanded = [];
+  const documents = items.map((item, index) => {
+    const chunks = typeof item?.content === 'string' ? chunkText(item.content, chunkOptions) : [];
+    const hasValidMetadata = item?.metadata === undefined ||
+      (typeof item.metadata === 'object' && item.metadata !== null && !Array.isArray(item.metadata));
+    
+    // Short or invalid items go through unchanged (embedDocuments reports the validation error)
+    if (chunks.length <= 1 || !hasValidMetadata) {
+      expanded.push({ ...item, group: index });
+      return { index, documentId: null };
+    }
+    
+    const metadata = item.metadata || {};
+    const documentId = metadata.document_id || randomUUID();
+    chunks.forEach((chunk, chunkIndex) => {
+      expanded.push({
+        content: chunk.text,
+        metadata: {
+          ...metadata,
+          document_id: documentId,
+          chunk_index: chunkIndex,
+          chunk_count: chunks.length,
+          chunk_start: chunk.start,
+          chunk_end: chunk.end,
+          ...(chunk.heading ? { chunk_heading: chunk.heading } : {})
+        },
+        group: index
+      });
+    });
+    return { index, documentId };
+  });
+  
+  return { expanded, documents };
+}
+
+/**
+ * Insert documents, splitting long content into chunks that share a document_id
+ *
+ * Returns one result per input document with the ids of all its chunk rows.
+ */
+async function insertChunkedDocuments(items, table = CONFIG.tables.defaultTable, { allowPartial = false, chunking = {} } = {}) {
+  const { expanded, documents } = expandChunks(items, chunking);
+  const chunkResults = await insertDocuments(expanded, table, { allowPartial });
+  
+  return documents.map(document => {
+    const own = chunkResults.filter(result => expanded[result.index].group === document.index);
+    const problem = own.find(result => result.status !== 'inserted');
+    return {
+      index: document.index,
+      status: problem ? problem.status : 'inserted',
+      error: problem ? problem.error : null,
+      documentId: document.documentId,
+      ids: problem ? [] : own.map(result => result.id)
+    };
+  });
+}
+
+/**
+ * Update a document's content and/or metadata, re-embedding when the content changes
+ *
+ * Returns the number of affected rows.
+ */
+async function updateDocument(id, { content, metadata, metadataMode = 'merge' } = {}, table = CONFIG.tables.defaultTable) {
+  const target = await resolveTable(table);
+  if (content === undefined && metadata === undefined) {
+    throw new Error('Nothing to update: provide content and/or metadata');
+  }
+  
+  const columns = await getTableColumns(target);
+  const metadataColumn = metadata !== undefined ? requireMetadataColumn(target, columns) : columns.metadataColumn;
+  
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    const isChunk = columns.metadataColumn ? `${columns.metadataColumn} ? 'chunk_index'` : 'false';
+    const existing = await client.query(
+      `SELECT ${columns.content} AS content, ${isChunk} AS is_chunk FROM ${target.sql} WHERE ${columns.id} = $1`,
+      [id]
+    );
+    if (existing.rows.length === 0) {
+      return 0;
+    }
+    
+    const params = [id];
+    const assignments = [];
+    let metadataExpression = metadataColumn;
+    
+    if (metadata !== undefined) {
+      params.push(JSON.stringify(metadata));
+      metadataExpression = metadataMode === 'replace'
+        ? `$${params.length}::jsonb`
+        : `coalesce(${metadataColumn}, '{}'::jsonb) || $${params.length}::jsonb`;
+    }
+    
+    // Only call the provider when the text actually changed
+    let unrecordedDimensions = null;
+    if (content !== undefined && content !== existing.rows[0].content) {
+      // A chunk's content_hash belongs to its whole document, which one chunk can't stand in for
+      if (existing.rows[0].is_chunk) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Row ${id} is a chunk of a longer document; update its content by passing the whole document to upsert_document`
+        );
+      }
+      const embedding = await generateEmbedding(content);
+      const embeddingColumn = requireEmbeddingColumn(target, columns);
+      if (!await checkEmbeddingCompatibility(target, columns, columns.names.embedding, embedding.length)) {
+        unrecordedDimensions = embedding.length;
+      }
+      
+      params.push(content);
+      assignments.push(`${columns.content} = $${params.length}`);
+      params.push(`[${embedding.join(',')}]`);
+      assignments.push(`${embeddingColumn} = $${params.length}`);
+      
+      // A running re-embed must pick this row up again with the new content
+      columns.vectors
+        .filter(vector => vector.name.endsWith(REEMBED_SUFFIX))
+        .forEach(vector => assignments.push(`${quoteIdentifier(vector.name)} = NULL`));
+      
+      // Keep the hash used by upsert_document in sync
+      if (metadataColumn) {
+        params.push(contentHash(content));
+        metadataExpression = `CASE WHEN (${metadataExpression}) ? 'content_hash' ` +
+          `THEN jsonb_set(${metadataExpression}, '{content_hash}', to_jsonb($${params.length}::text)) ` +
+          `ELSE ${metadataExpression} END`;
+      }
+    }
+    
+    if (metadataExpression !== metadataColumn) {
+      assignments.push(`${metadataColumn} = ${metadataExpression}`);
+    }
+    if (assignments.length === 0) {
+      return 0;
+    }
+    
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE ${target.sql} SET ${assignments.join(', ')} WHERE ${columns.id} = $1`,
+      params
+    );
+    if (unrecordedDimensions) {
+      await claimEmbeddingModel(client, target, columns.names.embedding, unrecordedDimensions);
+    }
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Insert or replace a document keyed by external ID or content hash
+ *
+ * Unchanged content only has its metadata refreshed; changed content replaces
+ * all existing rows (including chunks) for the key in one transaction.
+ */
+async function upsertDocument(content, metadata = {}, { externalId, chunking = {} } = {}, table = CONFIG.tables.defaultTable) {
+  const target = await resolveTable(table);
+  const hash = contentHash(content);
+  const keyField = externalId !== undefined ? 'external_id' : 'content_hash';
+  const keyValue = externalId !== undefined ? String(externalId) : hash;
+  const fullMetadata = {
+    ...metadata,
+    ...(externalId !== undefined ? { external_id: keyValue } : {}),
+    content_hash: hash
+  };
+  
+  // The upsert key lives in the metadata, so the table needs a writable metadata column
+  const columns = await getTableColumns(target);
+  const metadataColumn = requireMetadataColumn(target, columns);
+  
+  // Containment rather than ->> so a GIN index on the metadata column serves the lookup
+  const keyMatch = `${metadataColumn} @> jsonb_build_object($1::text, $2::text)`;
+  
+  const currentPool = await ensurePoolConnection();
+  const lookup = await currentPool.query(
+    `SELECT ${columns.id} AS id, ${metadataColumn} ->> 'content_hash' as content_hash FROM ${target.sql} WHERE ${keyMatch}`,
+    [keyField, keyValue]
+  );
+  
+  // Same content: refresh metadata while preserving chunk bookkeeping
+  if (lookup.rows.length > 0 && lookup.rows.every(row => row.content_hash === hash)) {
+    const preserved = CHUNK_METADATA_KEYS.map(key => `'${key}', ${metadataColumn} -> '${key}'`).join(', ');
+    const result = await currentPool.query(
+      `UPDATE ${target.sql}
+       SET ${metadataColumn} = $3::jsonb || jsonb_strip_nulls(jsonb_build_object(${preserved}))
+       WHERE ${keyMatch}`,
+      [keyField, keyValue, JSON.stringify(fullMetadata)]
+    );
+    return { action: 'unchanged', rowCount: result.rowCount, ids: lookup.rows.map(row => row.id) };
+  }
+  
+  const { expanded } = expandChunks([{ content, metadata: fullMetadata }], chunking);
+  const { results, embeddings } = await embedDocuments(expanded);
+  const failure = results.find(result => result.status !== 'pending');
+  if (failure) {
+    throw new Error(failure.error);
+  }
+  
+  const client = await currentPool.connect();
+  try {
+    await client.query('BEGIN');
+    const deleted = await client.query(
+      `DELETE FROM ${target.sql} WHERE ${keyMatch}`,
+      [keyField, keyValue]
+    );
+    const ids = await writeDocuments(client, target, columns, expanded, embeddings, expanded.map((_, index) => index));
+    await client.query('COMMIT');
+    
+    return {
+      action: deleted.rowCount > 0 ? 'replaced' : 'inserted',
+      rowCount: deleted.rowCount + ids.length,
+      deletedCount: deleted.rowCount,
+      ids
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete documents by ID list and/or metadata filter
+ *
+ * Returns the number of deleted rows.
+ */
+async function deleteDocuments({ ids, filters } = {}, table = CONFIG.tables.defaultTable) {
+  const target = await resolveTable(table);
+  const columns = await getTableColumns(target);
+  const params = [];
+  const conditions = [];
+  
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('ids must be a non-empty array');
+    }
+    params.push(ids);
+    conditions.push(`${columns.id} = ANY($${params.length})`);
+  }
+  
+  const filterClause = compileFilter(filters, params, columns.metadata);
+  if (filterClause) {
+    conditions.push(filterClause);
+  }
+  
+  // Never turn a missing or empty filter into "delete everything"
+  if (conditions.length === 0) {
+    throw new Error('delete_documents requires ids or a non-empty filters object');
+  }
+  
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    const result = await client.query(
+      `DELETE FROM ${target.sql} WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List the HNSW and IVFFlat indexes on a table
+ */
+async function listVectorIndexes(table = CONFIG.tables.defaultTable) {
+  const target = await resolveTable(table);
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    const result = await client.query(`
+      SELECT
+        ic.relname AS name,
+        am.amname AS method,
+        a.attname AS column_name,
+        opc.opcname AS operator_class,
+        coalesce(ic.reloptions, '{}') AS options,
+        pg_relation_size(i.indexrelid) AS size_bytes,
+        pg_size_pretty(pg_relation_size(i.indexrelid)) AS size,
+        i.indisvalid AS is_valid,
+        pg_get_indexdef(i.indexrelid) AS definition
+      FROM pg_index i
+      JOIN pg_class ic ON ic.oid = i.indexrelid
+      JOIN pg_am am ON am.oid = ic.relam
+      JOIN pg_opclass opc ON opc.oid = i.indclass[0]
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+      WHERE i.indrelid = to_regclass($1)
+      AND am.amname IN ('hnsw', 'ivfflat')
+      ORDER BY ic.relname
+    `, [target.sql]);
+    
+    return result.rows.map(row => ({
+      name: row.name,
+      method: row.method,
+      column: row.column_name,
+      operatorClass: row.operator_class,
+      metric: metricFromOperatorClass(row.operator_class),
+      parameters: Object.fromEntries(row.options.map(option => {
+        const [key, value] = option.split('=');
+        return [key, Number(value)];
+      })),
+      size: row.size,
+      sizeBytes: Number(row.size_bytes),
+      // False when a concurrent build failed or is still running
+      valid: row.is_valid,
+      definition: row.definition
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Estimate a table's row count from planner statistics, counting when there are none
+ */
+async function estimateRowCount(client, target) {
+  const estimate = await client.query(
+    `SELECT reltuples::bigint AS estimate FROM pg_class WHERE oid = to_regclass($1)`,
+    [target.sql]
+  );
+  const rows = Number(estimate.rows[0]?.estimate ?? -1);
+  if (rows > 0) {
+    return rows;
+  }
+  
+  const count = await client.query(`SELECT COUNT(*) as count FROM ${target.sql}`);
+  return parseInt(count.rows[0].count);
+}
+
+/**
+ * Create or rebuild an HNSW or IVFFlat index without blocking writes
+ *
+ * Build parameters default from the row count. With replace, an existing
+ * index of the same name is swapped out only once the new one is built.
+ */
+async function createVectorIndex(table = CONFIG.tables.defaultTable, options = {}) {
+  const {
+    method = 'hnsw',
+    metric = 'cosine',
+    embeddingColumn,
+    name,
+    replace = false,
+    m,
+    efConstruction,
+    lists
+  } = options;
+  
+  const target = await resolveTable(table);
+  const columns = await getTableColumns(target);
+  const column = embeddingColumn || columns.names.embedding;
+  if (!column) {
+    requireEmbeddingColumn(target, columns);
+  }
+  if (!columns.vectors.some(vector => vector.name === column)) {
+    throw new McpError(ErrorCode.InvalidParams, `Column "${column}" is not a vector column of ${target.schema}.${target.name}`);
+  }
+  
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    const rowCount = await estimateRowCount(client, target);
+    let parameters;
+    try {
+      parameters = resolveIndexOptions(method, metric, { m, ef_construction: efConstruction, lists }, rowCount);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    
+    const indexName = name || defaultIndexName(target.name, column, method, metric);
+    const qualifiedIndex = (indexOnly) => `${quoteIdentifier(target.schema)}.${quoteIdentifier(indexOnly)}`;
+    const existing = await client.query(`
+      SELECT
+        c.relkind,
+        i.indrelid IS NOT NULL AND i.indrelid = to_regclass($3) AS on_table,
+        am.amname AS method,
+        a.attname AS column_name
+      FROM pg_class c
+      LEFT JOIN pg_index i ON i.indexrelid = c.oid
+      LEFT JOIN pg_am am ON am.oid = c.relam
+      LEFT JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+      WHERE c.relname = $1 AND c.relnamespace = (SELECT oid FROM pg_namespace WHERE nspname = $2)
+    `, [indexName, target.schema, target.sql]);
+    const replacing = existing.rows.length > 0;
+    if (replacing && !replace) {
+      throw new McpError(ErrorCode.InvalidParams, `Index "${indexName}" already exists; pass replace: true to rebuild it`);
+    }
+    
+    // Only ever replace a vector index on this very column, never some other relation with the name
+    const [current] = existing.rows;
+    if (replacing && (current.relkind !== 'i' || !current.on_table ||
+        !VECTOR_INDEX_METHODS.includes(current.method) || current.column_name !== column)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `"${indexName}" exists but is not a vector index on ${target.schema}.${target.name}.${column}; choose another name`
+      );
+    }
+    
+    // Build under a temporary name first when replacing, so searches keep an index throughout
+    const buildName = replacing ? `${indexName.slice(0, 59)}_new` : indexName;
+    if (replacing) {
+      await client.query(`DROP INDEX CONCURRENTLY IF EXISTS ${qualifiedIndex(buildName)}`);
+    }
+    
+    const sql = buildCreateIndexSql({ name: buildName, tableSql: target.sql, column, method, metric, parameters });
+    const startedAt = Date.now();
+    try {
+      await client.query(sql);
+    } catch (error) {
+      // A failed concurrent build leaves an invalid index behind
+      await client.query(`DROP INDEX CONCURRENTLY IF EXISTS ${qualifiedIndex(buildName)}`).catch(() => {});
+      throw error;
+    }
+    
+    if (replacing) {
+      await client.query(`DROP INDEX CONCURRENTLY ${qualifiedIndex(indexName)}`);
+      await client.query(`ALTER INDEX ${qualifiedIndex(buildName)} RENAME TO ${quoteIdentifier(indexName)}`);
+    }
+    
+    return {
+      name: indexName,
+      method,
+      metric,
+      column,
+      parameters,
+      rowCount,
+      replaced: replacing,
+      durationMs: Date.now() - startedAt,
+      sql
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create a pgvector-ready table with the default columns and indexes
+ *
+ * The vector dimension is detected from the active embedding provider unless
+ * given. Everything runs in one transaction, so a failure leaves nothing behind.
+ */
+async function createCollection(table = CONFIG.tables.defaultTable, { dimensions, metric = 'cosine', vectorIndex = true } = {}) {
+  const { embeddingProvider, tablePolicy } = currentDatabase();
+  let parsed;
+  try {
+    parsed = parseTableName(table);
+    getMetric(metric);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+  
+  const schema = parsed.schema || currentDatabase().settings.defaultSchema;
+  const qualifiedName = `${schema}.${parsed.name}`;
+  if (!tablePolicy.isAllowed(schema, parsed.name)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Access to table "${qualifiedName}" is not permitted by this server's table policy`
+    );
+  }
+  
+  // Ask the provider for one embedding to learn its output size
+  let dimension = dimensions;
+  if (dimension === undefined) {
+    if (embeddingProvider === "none") {
+      throw new McpError(ErrorCode.InvalidParams, "No embedding provider configured; pass dimensions explicitly");
+    }
+    dimension = (await generateEmbedding('dimension probe')).length;
+  }
+  if (!Number.isInteger(dimension) || dimension < 1 || dimension > 16000) {
+    throw new McpError(ErrorCode.InvalidParams, 'dimensions must be an integer between 1 and 16000');
+  }
+  
+  const tableSql = `${quoteIdentifier(schema)}.${quoteIdentifier(parsed.name)}`;
+  const indexName = (suffix) => `${parsed.name.slice(0, 63 - suffix.length)}${suffix}`;
+  const statements = [
+    'CREATE EXTENSION IF NOT EXISTS vector',
+    `CREATE TABLE ${tableSql} (
+      id BIGSERIAL PRIMARY KEY,
+      content TEXT NOT NULL,
+      metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+      embedding vector(${dimension}),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX ${quoteIdentifier(indexName('_metadata_idx'))} ON ${tableSql} USING gin (metadata)`,
+    `CREATE INDEX ${quoteIdentifier(indexName('_created_at_idx'))} ON ${tableSql} (created_at)`
+  ];
+  
+  const notes = [];
+  if (vectorIndex && dimension > MAX_INDEXED_DIMENSIONS) {
+    notes.push(`No vector index created: pgvector indexes support at most ${MAX_INDEXED_DIMENSIONS} dimensions`);
+  } else if (vectorIndex) {
+    // HNSW builds fine on an empty table, unlike IVFFlat which needs data to pick its lists
+    statements.push(buildCreateIndexSql({
+      name: defaultIndexName(parsed.name, 'embedding', 'hnsw', metric),
+      tableSql,
+      column: 'embedding',
+      method: 'hnsw',
+      metric,
+      parameters: resolveIndexOptions('hnsw', metric, {}, 0),
+      concurrently: false
+    }));
+  }
+  
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [tableSql]);
+    if (existing.rows[0].exists) {
+      throw new McpError(ErrorCode.InvalidParams, `Table "${qualifiedName}" already exists`);
+    }
+    
+    for (const statement of statements) {
+      await client.query(statement);
+    }
+    
+    // The column was sized for the active model, so record it with the table
+    if (dimensions === undefined) {
+      await claimEmbeddingModel(client, { schema, name: parsed.name }, 'embedding', dimension);
+    }
+    await client.query('COMMIT');
+    
+    return { table: qualifiedName, dimension, metric, statements, notes };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop a table; `confirm` must repeat its schema-qualified name
+ */
+async function dropCollection(table, confirm) {
+  const { modelRegistry } = currentDatabase();
+  const target = await resolveTable(table);
+  const qualifiedName = `${target.schema}.${target.name}`;
+  if (confirm !== qualifiedName) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Dropping a collection deletes all of its rows; set confirm to "${qualifiedName}" to proceed`
+    );
+  }
+  
+  const currentPool = await ensurePoolConnection();
+  const client = await currentPool.connect();
+  try {
+    const kind = await client.query('SELECT relkind FROM pg_class WHERE oid = to_regclass($1)', [target.sql]);
+    if (!['r', 'p'].includes(kind.rows[0]?.relkind)) {
+      throw new McpError(ErrorCode.InvalidParams, `"${qualifiedName}" is not a table`);
+    }
+    
+    // No CASCADE: dependent views or foreign keys make the drop fail instead of disappearing too
+    await client.query(`DROP TABLE ${target.sql}`);
+    await modelRegistry.remove(target.schema, target.name);
+    return qualifiedName;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Re-embed a vector column with the active model, then swap it in
+ *
+ * Embeddings are written to a shadow column (<column>__reembed) in batches.
+ * Rows whose shadow is still NULL are the checkpoint, so an interrupted run
+ * resumes where it stopped. Searches keep using the original column until
+ * every row is done; then a matching vector index is built and the columns are
+ * renamed in one transaction, keeping the old one as <column>__previous.
+ * `maxRows` bounds the work per call so tool calls can return progress.
+ */
+async function reembedTable(table = CONFIG.tables.defaultTable, options = {}) {
+  const { embeddingProvider, modelRegistry } = currentDatabase();
+  const {
+    embeddingColumn,
+    batchSize = 100,
+    maxRows = Infinity,
+    swap = true,
+    dropOld = false,
+    onProgress = () => {}
+  } = options;
+  
+  if (embeddingProvider === "none") {
+    throw new McpError(ErrorCode.InvalidParams, "No embedding provider configured; configure the model to re-embed with first");
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new McpError(ErrorCode.InvalidParams, 'batch_size must be a positive integer');
+  }
+  
+  const target = await resolveTable(table);
+  let columns = await getTableColumns(target);
+  const source = embeddingColumn || columns.names.embedding;
+  if (!source) {
+    requireEmbeddingColumn(target, columns);
+  }
+  if (!columns.vectors.some(vector => vector.name === source)) {
+    throw new McpError(ErrorCode.InvalidParams, `Column "${source}" is not a vector column of ${target.schema}.${target.name}`);
+  }
+  
+  const shadow = `${source.slice(0, 63 - REEMBED_SUFFIX.length)}${REEMBED_SUFFIX}`;
+  const previous = `${source.slice(0, 63 - PREVIOUS_SUFFIX.length)}${PREVIOUS_SUFFIX}`;
+  const sourceSql = quoteIdentifier(source);
+  const shadowSql = quoteIdentifier(shadow);
+  if (swap && columns.vectors.some(vector => vector.name === previous)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Column "${previous}" is left over from an earlier migration; drop it before re-embedding ${source} again`
+    );
+  }
+  const dimension = (await generateEmbedding('dimension probe')).length;
+  
+  const currentPool = await ensurePoolConnection();
+  
+  // Create the shadow column, or check that an earlier run used the same model
+  if (columns.vectors.some(vector => vector.name === shadow)) {
+    await checkEmbeddingCompatibility(target, columns, shadow, dimension);
+  } else {
+    await currentPool.query(`ALTER TABLE ${target.sql} ADD COLUMN ${shadowSql} vector(${dimension})`);
+    columns = await getTableColumns(target);
+  }
+  if (!await modelRegistry.get(target.schema, target.name, shadow)) {
+    await recordEmbeddingModel(target, shadow, dimension);
+  }
+  
+  // Blank content can't be embedded, so those rows never hold the swap back
+  const pendingCondition = `${shadowSql} IS NULL AND ${columns.content} ~ '\\S'`;
+  const countPending = async () => {
+    const result = await currentPool.query(`SELECT COUNT(*) as count FROM ${target.sql} WHERE ${pendingCondition}`);
+    return parseInt(result.rows[0].count);
+  };
+  
+  const progress = { processed: 0, failed: 0, remaining: await countPending() };
+  let lastId = null;
+  
+  // Keyset pagination, so rows that fail to embed are skipped for the rest of this run
+  while (progress.processed + progress.failed < maxRows) {
+    const params = [Math.min(batchSize, maxRows - progress.processed - progress.failed)];
+    if (lastId !== null) {
+      params.push(lastId);
+    }
+    const batch = await currentPool.query(
+      `SELECT ${columns.id} AS id, ${columns.content} AS content FROM ${target.sql}
+       WHERE ${pendingCondition}${lastId !== null ? ` AND ${columns.id} > $2` : ''}
+       ORDER BY ${columns.id}
+       LIMIT $1`,
+      params
+    );
+    if (batch.rows.length === 0) {
+      break;
+    }
+    lastId = batch.rows[batch.rows.length - 1].id;
+    
+    const { results, embeddings } = await embedDocuments(batch.rows.map(row => ({ content: row.content })));
+    const client = await currentPool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const result of results) {
+        if (result.status !== 'pending') {
+          progress.failed++;
+          continue;
+        }
+        // Skip rows whose content changed since they were read; they stay pending
+        const row = batch.rows[result.index];
+        const updated = await client.query(
+          `UPDATE ${target.sql} SET ${shadowSql} = $1 WHERE ${columns.id} = $2 AND ${columns.content} = $3`,
+          [`[${embeddings[result.index].join(',')}]`, row.id, row.content]
+        );
+        progress.processed += updated.rowCount;
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    progress.remaining = Math.max(0, progress.remaining - batch.rows.length);
+    onProgress({ ...progress });
+  }
+  
+  progress.remaining = await countPending();
+  const summary = {
+    table: `${target.schema}.${target.name}`,
+    column: source,
+    shadowColumn: shadow,
+    model: `${embeddingProvider}/${getEmbeddingModel()}`,
+    dimension,
+    ...progress,
+    swapped: false,
+    previousColumn: null,
+    indexes: []
+  };
+  if (!swap || progress.remaining > 0) {
+    return summary;
+  }
+  
+  // Give the shadow column the same vector indexes as the original before switching over
+  const sourceIndexes = (await listVectorIndexes(table)).filter(index => index.column === source && index.metric);
+  const shadowIndexes = (await listVectorIndexes(table)).filter(index => index.column === shadow && index.valid);
+  for (const index of sourceIndexes) {
+    if (shadowIndexes.some(existing => existing.method === index.method && existing.metric === index.metric)) {
+      continue;
+    }
+    const created = await createVectorIndex(table, {
+      method: index.method,
+      metric: index.metric,
+      embeddingColumn: shadow,
+      m: index.parameters.m,
+      efConstruction: index.parameters.ef_construction,
+      lists: index.parameters.lists
+    });
+    summary.indexes.push(created.name);
+  }
+  
+  const previousRecord = await modelRegistry.get(target.schema, target.name, source);
+  const client = await currentPool.connect();
+  try {
+    await client.query('BEGIN');
+    // Block writes (not reads) so no row can slip in without a new embedding
+    await client.query(`LOCK TABLE ${target.sql} IN SHARE ROW EXCLUSIVE MODE`);
+    const pending = await client.query(`SELECT COUNT(*) as count FROM ${target.sql} WHERE ${pendingCondition}`);
+    if (parseInt(pending.rows[0].count) > 0) {
+      await client.query('ROLLBACK');
+      summary.remaining = parseInt(pending.rows[0].count);
+      return summary;
+    }
+    
+    await client.query(`ALTER TABLE ${target.sql} RENAME COLUMN ${sourceSql} TO ${quoteIdentifier(previous)}`);
+    await client.query(`ALTER TABLE ${target.sql} RENAME COLUMN ${shadowSql} TO ${sourceSql}`);
+    if (dropOld) {
+      await client.query(`ALTER TABLE ${target.sql} DROP COLUMN ${quoteIdentifier(previous)}`);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  // Move the registry records along with the columns
+  await modelRegistry.remove(target.schema, target.name, shadow);
+  await recordEmbeddingModel(target, source, dimension);
+  if (!dropOld && previousRecord) {
+    await modelRegistry.record(target.schema, target.name, previous, previousRecord);
+  }
+  
+  summary.swapped = true;
+  summary.previousColumn = dropOld ? null : previous;
+  return summary;
+}
+
+// Output arguments shared by the search tools
+const OUTPUT_PROPERTIES = {
+  format: {
+    type: "string",
+    enum: OUTPUT_FORMATS,
+    description: `Output format: readable text, a JSON document with full ids, scores, content, metadata and timestamps, or both (default: ${CONFIG.output.format}, or json when fields is given)`
+  },
+  fields: {
+    type: "array",
+    items: { type: "string" },
+    description: "Fields to keep in each JSON result, as dot paths (e.g. [\"id\", \"metadata.path\"])"
+  },
+  content_max_length: {
+    type: "integer",
+    description: `Truncate content to this many characters, 0 for no limit (default: ${CONFIG.output.contentMaxLength} for text, no limit for JSON)`,
+    minimum: 0
+  }
+};
+
+// Pagination arguments of vector_search and metadata_search
+const PAGE_PROPERTIES = {
+  offset: {
+    type: "integer",
+    description: "Number of results to skip (default: 0); prefer cursor for deep pages",
+    minimum: 0
+  },
+  cursor: {
+    type: "string",
+    description: "next_cursor from the previous page of the same search, to continue after its last result"
+  }
+};
+
+const SEARCH_RESULT_FIELDS = ['id', 'content', 'metadata', 'created_at', 'similarity'];
+const HYBRID_RESULT_FIELDS = [
+  'id', 'content', 'metadata', 'created_at',
+  'fused_score', 'vector_score', 'vector_rank', 'keyword_score', 'keyword_rank'
+];
+const METADATA_RESULT_FIELDS = ['id', 'content', 'metadata', 'created_at'];
+
+/**
+ * Read a search tool's output arguments, reporting problems as invalid params
+ */
+function getOutputOptions(args, available) {
+  try {
+    return parseOutputOptions(args, {
+      available,
+      defaultFormat: CONFIG.output.format,
+      defaultTextLength: CONFIG.output.contentMaxLength
+    });
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+}
+
+const CHUNKING_SCHEMA = {
+  type: "object",
+  description: `How to split long content before embedding; each chunk becomes its own row sharing a document_id (default: ${CONFIG.chunking.strategy}, ${CONFIG.chunking.size} chars, ${CONFIG.chunking.overlap} overlap)`,
+  properties: {
+    strategy: {
+      type: "string",
+      enum: ["none", "fixed", "sentence", "markdown", "code"],
+      description: "fixed-size windows, sentence/paragraph packing, Markdown headings, code blocks, or none to disable"
+    },
+    size: {
+      type: "number",
+      description: "Maximum chunk size in characters",
+      minimum: 100
+    },
+    overlap: {
+      type: "number",
+      description: "Characters repeated between consecutive chunks",
+      minimum: 0
+    }
+  }
+};
+
+const FILTER_DESCRIPTION = "Metadata filter. Plain values match by equality; nested paths use dots (author.name). " +
+  "Operators: $eq, $ne, $gt, $gte, $lt, $lte (numbers or ISO dates), $in, $nin, $exists, $contains (JSONB arrays), $like, $ilike. " +
+  "Combine with $and, $or and $not, e.g. {\"repo\": \"x\", \"date\": {\"$gt\": \"2024-06-01\"}}.";
+
+// Shared by the tools that rank by vector similarity
+const METRIC_SCHEMA = {
+  type: "string",
+  description: "Distance metric: cosine, l2, inner_product or l1 (default: the metric the column's vector index was built for, else cosine)",
+  enum: METRIC_NAMES
+};
+
+const EMBEDDING_COLUMN_SCHEMA = {
+  type: ["string", "object"],
+  description: "Vector column to search, or an object of column weights such as {\"title_embedding\": 0.3, \"content_embedding\": 0.7} " +
+    "to rank by the weighted mean of their similarities (default: the table's embedding column)",
+  additionalProperties: {
+    type: "number"
+  }
+};
+
+/**
+ * Describe the embedding providers for tool descriptions, e.g. "openai embeddings", or null if there are none
+ */
+function describeEmbeddings() {
+  const withProvider = [...databases.values()].filter(database => database.embeddingProvider !== "none");
+  if (withProvider.length === 0) {
+    return null;
+  }
+  const providers = new Set(withProvider.map(database => database.embeddingProvider));
+  if (providers.size === 1 && withProvider.length === databases.size) {
+    return `${[...providers][0]} embeddings`;
+  }
+  return withProvider.map(database => `${database.embeddingProvider} embeddings in ${database.name}`).join(', ');
+}
+
+/**
+ * Build every tool definition supported by the configured embedding providers
+ */
+function buildToolDefinitions() {
   const tools = [];
+  const embeddings = describeEmbeddings();
   
-  // Add embedding-based tools only if provider is available
-  if (embeddingProvider !== "none") {
+  // Add embedding-based tools only if some database has a provider
+  if (embeddings !== null) {
     tools.push({
       name: "vector_search",
-      description: `Perform semantic vector similarity search on PostgreSQL with pgvector (using ${embeddingProvider} embeddings)`,
+      description: `Perform semantic vector similarity search on PostgreSQL with pgvector (using ${embeddings})`,
         inputSchema: {
           type: "object",
           properties: {
@@ -495,31 +2749,124 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             table: {
               type: "string",
-              description: "Table name to search in (default: document_embeddings)",
-              default: "document_embeddings"
+              description: `Table name, optionally schema-qualified (schema.table), to search in (default: ${CONFIG.tables.defaultTable})`,
+              default: CONFIG.tables.defaultTable
             },
             limit: {
               type: "number",
               description: "Maximum number of results to return (default: 5)",
               default: 5,
               minimum: 1,
-              maximum: 50
+              maximum: CONFIG.limits.searchResults
             },
             similarity_threshold: {
               type: "number",
-              description: "Minimum similarity threshold (0-1, default: 0.5)",
-              default: 0.5,
-              minimum: 0,
-              maximum: 1
-            }
+              description: "Minimum similarity (default: 0.5). Similarity is 1 - distance for cosine, 1 / (1 + distance) for l2 and l1, " +
+                "and the inner product for inner_product",
+              default: 0.5
+            },
+            filters: {
+              type: "object",
+              description: FILTER_DESCRIPTION + " Applied as a pre-filter inside the similarity query.",
+              additionalProperties: true
+            },
+            collapse_chunks: {
+              type: "boolean",
+              description: "Return only the best-matching chunk per parent document (default: false)",
+              default: false
+            },
+            metric: METRIC_SCHEMA,
+            embedding_column: EMBEDDING_COLUMN_SCHEMA,
+            ef_search: {
+              type: "integer",
+              description: "HNSW candidate list size for this query (hnsw.ef_search); higher improves recall at the cost of latency",
+              minimum: 1,
+              maximum: 1000
+            },
+            probes: {
+              type: "integer",
+              description: "Number of IVFFlat lists to scan for this query (ivfflat.probes); higher improves recall at the cost of latency",
+              minimum: 1
+            },
+            ...PAGE_PROPERTIES,
+            ...OUTPUT_PROPERTIES
           },
           required: ["query"]
         }
       });
     
     tools.push({
-      name: "insert_document",
-      description: `Insert a new document with automatic embedding generation (using ${embeddingProvider} embeddings)`,
+      name: "insert_document",
+      description: `Insert a new document with automatic embedding generation (using ${embeddings})`,
+      inputSchema: {
+        type: "object",
+        properties: {
+          content: {
+            type: "string",
+            description: "Document content to embed and store"
+          },
+          metadata: {
+            type: "object",
+            description: "Additional metadata to store with the document",
+            additionalProperties: true
+          },
+          table: {
+            type: "string",
+            description: `Table name, optionally schema-qualified (schema.table), to insert into (default: ${CONFIG.tables.defaultTable})`,
+            default: CONFIG.tables.defaultTable
+          },
+          chunking: CHUNKING_SCHEMA
+        },
+        required: ["content"]
+      }
+    });
+    
+    tools.push({
+      name: "insert_documents",
+      description: `Insert many documents in one transaction with batched embedding generation (using ${embeddings})`,
+      inputSchema: {
+        type: "object",
+        properties: {
+          documents: {
+            type: "array",
+            description: "Documents to embed and store",
+            minItems: 1,
+            maxItems: 5000,
+            items: {
+              type: "object",
+              properties: {
+                content: {
+                  type: "string",
+                  description: "Document content to embed and store"
+                },
+                metadata: {
+                  type: "object",
+                  description: "Additional metadata to store with the document",
+                  additionalProperties: true
+                }
+              },
+              required: ["content"]
+            }
+          },
+          table: {
+            type: "string",
+            description: `Table name, optionally schema-qualified (schema.table), to insert into (default: ${CONFIG.tables.defaultTable})`,
+            default: CONFIG.tables.defaultTable
+          },
+          allow_partial: {
+            type: "boolean",
+            description: "Insert the items that succeeded even if others failed (default: false, all-or-nothing)",
+            default: false
+          },
+          chunking: CHUNKING_SCHEMA
+        },
+        required: ["documents"]
+      }
+    });
+    
+    tools.push({
+      name: "upsert_document",
+      description: `Insert or replace a document keyed by external ID or content hash, re-embedding only when content changed (using ${embeddings})`,
       inputSchema: {
         type: "object",
         properties: {
@@ -529,14 +2876,19 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           },
           metadata: {
             type: "object",
-            description: "Additional metadata to store with the document",
+            description: "Metadata to store with the document",
             additionalProperties: true
           },
+          external_id: {
+            type: "string",
+            description: "Caller-supplied stable ID, e.g. a file path (stored as metadata.external_id). Without it the content hash is the key"
+          },
           table: {
             type: "string",
-            description: "Table name to insert into (default: document_embeddings)",
-            default: "document_embeddings"
-          }
+            description: `Table name, optionally schema-qualified (schema.table), to upsert into (default: ${CONFIG.tables.defaultTable})`,
+            default: CONFIG.tables.defaultTable
+          },
+          chunking: CHUNKING_SCHEMA
         },
         required: ["content"]
       }
@@ -544,6 +2896,56 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
   }
   
   // Always available tools (don't require embeddings)
+  tools.push({
+    name: "hybrid_search",
+    description: embeddings !== null
+      ? `Hybrid search fusing pgvector similarity (using ${embeddings}) with PostgreSQL full-text ranking`
+      : "Keyword search using PostgreSQL full-text ranking (vector similarity disabled - no embedding provider configured)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Search query text; exact identifiers, error codes and function names are matched by the keyword ranking"
+        },
+        table: {
+          type: "string",
+          description: `Table name, optionally schema-qualified (schema.table), to search in (default: ${CONFIG.tables.defaultTable})`,
+          default: CONFIG.tables.defaultTable
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of results to return (default: 5)",
+          default: 5,
+          minimum: 1,
+          maximum: CONFIG.limits.searchResults
+        },
+        fusion: {
+          type: "string",
+          description: "How to combine the rankings: rrf (reciprocal rank fusion) or weighted score (default: rrf)",
+          enum: FUSION_METHODS,
+          default: "rrf"
+        },
+        vector_weight: {
+          type: "number",
+          description: "Weight of the vector ranking versus the keyword ranking (0-1, default: 0.5)",
+          default: 0.5,
+          minimum: 0,
+          maximum: 1
+        },
+        text_search_config: {
+          type: "string",
+          description: "PostgreSQL text search configuration used for keyword ranking (default: english)",
+          default: "english"
+        },
+        metric: METRIC_SCHEMA,
+        embedding_column: EMBEDDING_COLUMN_SCHEMA,
+        ...OUTPUT_PROPERTIES
+      },
+      required: ["query"]
+    }
+  });
+
   tools.push({
     name: "metadata_search",
         description: "Search documents by metadata filters",
@@ -552,28 +2954,145 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             filters: {
               type: "object",
-              description: "Key-value pairs to filter by metadata fields",
-              additionalProperties: {
-                type: "string"
-              }
+              description: FILTER_DESCRIPTION,
+              additionalProperties: true
             },
             table: {
               type: "string",
-              description: "Table name to search in (default: document_embeddings)",
-              default: "document_embeddings"
+              description: `Table name, optionally schema-qualified (schema.table), to search in (default: ${CONFIG.tables.defaultTable})`,
+              default: CONFIG.tables.defaultTable
             },
             limit: {
               type: "number",
               description: "Maximum number of results to return (default: 10)",
               default: 10,
               minimum: 1,
-              maximum: 100
-            }
+              maximum: CONFIG.limits.metadataResults
+            },
+            order_by: {
+              type: "array",
+              description: "Sort keys, most significant first (default: newest first). Each is a field name or " +
+                "{ field, direction: asc|desc, nulls: first|last }; fields are id, content, created_at, another column of the table, " +
+                "or metadata.<path> (e.g. [{\"field\": \"metadata.stars\", \"direction\": \"desc\", \"nulls\": \"last\"}])",
+              items: {
+                anyOf: [
+                  { type: "string" },
+                  {
+                    type: "object",
+                    properties: {
+                      field: { type: "string" },
+                      direction: { type: "string", enum: ["asc", "desc"], default: "asc" },
+                      nulls: { type: "string", enum: ["first", "last"] }
+                    },
+                    required: ["field"]
+                  }
+                ]
+              }
+            },
+            ...PAGE_PROPERTIES,
+            ...OUTPUT_PROPERTIES
           },
           required: ["filters"]
         }
       });
       
+  tools.push({
+    name: "metadata_facets",
+    description: "Count documents per value of metadata keys (e.g. documents per repository_name or author_name), optionally filtered",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keys: {
+          type: "array",
+          items: { type: "string" },
+          description: "Metadata keys to group by; dot paths reach nested keys (e.g. [\"repository_name\", \"author.name\"])"
+        },
+        filters: {
+          type: "object",
+          description: FILTER_DESCRIPTION + " Only matching documents are counted.",
+          additionalProperties: true
+        },
+        table: {
+          type: "string",
+          description: `Table name, optionally schema-qualified (schema.table), to count in (default: ${CONFIG.tables.defaultTable})`,
+          default: CONFIG.tables.defaultTable
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of values returned per key, most common first (default: 20)",
+          default: 20,
+          minimum: 1,
+          maximum: MAX_FACET_VALUES
+        },
+        format: OUTPUT_PROPERTIES.format
+      },
+      required: ["keys"]
+    }
+  });
+      
+  tools.push({
+    name: "update_document",
+    description: "Update a document's content and/or metadata by ID; changed content is re-embedded",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: ["string", "number"],
+          description: "ID of the row to update"
+        },
+        content: {
+          type: "string",
+          description: "New content (requires an embedding provider)"
+        },
+        metadata: {
+          type: "object",
+          description: "Metadata to merge into or replace the existing metadata",
+          additionalProperties: true
+        },
+        metadata_mode: {
+          type: "string",
+          enum: ["merge", "replace"],
+          description: "Merge metadata keys into the existing object or replace it (default: merge)",
+          default: "merge"
+        },
+        table: {
+          type: "string",
+          description: `Table name, optionally schema-qualified (schema.table), (default: ${CONFIG.tables.defaultTable})`,
+          default: CONFIG.tables.defaultTable
+        }
+      },
+      required: ["id"]
+    }
+  });
+  
+  tools.push({
+    name: "delete_documents",
+    description: "Delete documents by ID list and/or metadata filter; returns the number of deleted rows",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ids: {
+          type: "array",
+          description: "IDs of the rows to delete",
+          items: {
+            type: ["string", "number"]
+          }
+        },
+        filters: {
+          type: "object",
+          description: FILTER_DESCRIPTION + " Combined with ids using AND when both are given.",
+          additionalProperties: true
+        },
+        table: {
+          type: "string",
+          description: `Table name, optionally schema-qualified (schema.table), (default: ${CONFIG.tables.defaultTable})`,
+          default: CONFIG.tables.defaultTable
+        }
+      },
+      required: []
+    }
+  });
+  
   tools.push({
     name: "get_database_stats",
     description: "Get statistics about vector-enabled tables in the database",
@@ -594,6 +3113,221 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     }
   });
   
+  tools.push({
+    name: "register_table",
+    description: "Map the columns of a table that doesn't use the default names (id, content, metadata, created_at, embedding). " +
+      "The mapping is validated against the table and applies to all tools until the server restarts.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: {
+          type: "string",
+          description: "Table name, optionally schema-qualified (schema.table)"
+        },
+        columns: {
+          type: "object",
+          description: "Column names to use; omitted entries keep their default",
+          properties: {
+            id: {
+              type: "string",
+              description: "Primary key column (default: id)"
+            },
+            content: {
+              type: "string",
+              description: "Text column that is embedded and keyword-searched (default: content)"
+            },
+            metadata: {
+              type: ["string", "array", "null"],
+              description: "Metadata column or columns; JSONB columns are merged, other columns appear as a key named after the column. " +
+                "Writes go to the first JSONB column (default: metadata)",
+              items: {
+                type: "string"
+              }
+            },
+            createdAt: {
+              type: ["string", "null"],
+              description: "Timestamp column, or null if the table has none (default: created_at)"
+            },
+            embedding: {
+              type: ["string", "null"],
+              description: "Column of type vector (default: auto-detected)"
+            }
+          },
+          additionalProperties: false
+        }
+      },
+      required: ["table", "columns"]
+    }
+  });
+  
+  tools.push({
+    name: "create_collection",
+    description: "Create a pgvector-ready table (id, content, metadata, embedding, created_at) with metadata, timestamp and HNSW vector indexes. " +
+      "Enables the vector extension if needed and sizes the embedding column for the active embedding provider.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: {
+          type: "string",
+          description: `Table name, optionally schema-qualified (schema.table), (default: ${CONFIG.tables.defaultTable})`,
+          default: CONFIG.tables.defaultTable
+        },
+        dimensions: {
+          type: "integer",
+          description: "Embedding dimension (default: detected from the active embedding provider)",
+          minimum: 1
+        },
+        metric: {
+          type: "string",
+          description: "Distance metric for the vector index (default: cosine)",
+          enum: METRIC_NAMES,
+          default: "cosine"
+        },
+        vector_index: {
+          type: "boolean",
+          description: "Create an HNSW index on the embedding column (default: true)",
+          default: true
+        }
+      },
+      required: []
+    }
+  });
+  
+  tools.push({
+    name: "drop_collection",
+    description: "Drop a table and all of its rows. Requires confirm to repeat the schema-qualified table name.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: {
+          type: "string",
+          description: "Table name, optionally schema-qualified (schema.table)"
+        },
+        confirm: {
+          type: "string",
+          description: "Must equal the schema-qualified table name, e.g. public.document_embeddings"
+        }
+      },
+      required: ["table", "confirm"]
+    }
+  });
+  
+  tools.push({
+    name: "reembed_table",
+    description: "Re-embed a table with the active embedding model into a shadow column, resumably, then swap it in atomically. " +
+      "Processes up to max_rows rows per call; call again to continue. Searches keep using the old column until the swap.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: {
+          type: "string",
+          description: `Table name, optionally schema-qualified (schema.table), (default: ${CONFIG.tables.defaultTable})`,
+          default: CONFIG.tables.defaultTable
+        },
+        embedding_column: {
+          type: "string",
+          description: "Vector column to re-embed (default: the table's embedding column)"
+        },
+        batch_size: {
+          type: "integer",
+          description: "Rows read and written per batch (default: 100)",
+          default: 100,
+          minimum: 1
+        },
+        max_rows: {
+          type: "integer",
+          description: "Maximum rows to re-embed in this call (default: 1000)",
+          default: 1000,
+          minimum: 1
+        },
+        swap: {
+          type: "boolean",
+          description: "Swap the new column in once every row is done (default: true)",
+          default: true
+        },
+        drop_old: {
+          type: "boolean",
+          description: "Drop the old column when swapping instead of keeping it as <column>__previous (default: false)",
+          default: false
+        }
+      },
+      required: []
+    }
+  });
+  
+  tools.push({
+    name: "list_vector_indexes",
+    description: "List the HNSW and IVFFlat indexes on a table with their column, operator class, build parameters, size and validity",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: {
+          type: "string",
+          description: `Table name, optionally schema-qualified (schema.table), (default: ${CONFIG.tables.defaultTable})`,
+          default: CONFIG.tables.defaultTable
+        }
+      },
+      required: []
+    }
+  });
+  
+  tools.push({
+    name: "create_vector_index",
+    description: "Create or rebuild an HNSW or IVFFlat index CONCURRENTLY (writes are not blocked). " +
+      "Build parameters default from the table's row count. Large tables can take a long time to index.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: {
+          type: "string",
+          description: `Table name, optionally schema-qualified (schema.table), (default: ${CONFIG.tables.defaultTable})`,
+          default: CONFIG.tables.defaultTable
+        },
+        embedding_column: {
+          type: "string",
+          description: "Vector column to index (default: the table's embedding column)"
+        },
+        method: {
+          type: "string",
+          description: "Index type (default: hnsw)",
+          enum: VECTOR_INDEX_METHODS,
+          default: "hnsw"
+        },
+        metric: {
+          type: "string",
+          description: "Distance metric the index serves; searches must use the same metric to use it (default: cosine)",
+          enum: METRIC_NAMES,
+          default: "cosine"
+        },
+        m: {
+          type: "integer",
+          description: "HNSW: max connections per layer (default: 16)",
+          minimum: 2
+        },
+        ef_construction: {
+          type: "integer",
+          description: "HNSW: candidate list size while building, at least 2 * m (default: 64, 128 above 1M rows)",
+          minimum: 4
+        },
+        lists: {
+          type: "integer",
+          description: "IVFFlat: number of lists (default: rows / 1000, sqrt(rows) above 1M rows)",
+          minimum: 1
+        },
+        name: {
+          type: "string",
+          description: "Index name (default: <table>_<column>_<method>_<metric>_idx)"
+        },
+        replace: {
+          type: "boolean",
+          description: "Rebuild when an index with this name exists; the old index is dropped only after the new one is built (default: false)",
+          default: false
+        }
+      },
+      required: []
+    }
+  });
+  
   // Always add status check tool
   tools.push({
     name: "status_check",
@@ -605,64 +3339,487 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     }
   });
       
-  return { tools };
-});
+  // Every tool but status_check runs against one database, chosen by name
+  for (const tool of tools) {
+    if (tool.name !== "status_check") {
+      tool.inputSchema.properties.database = {
+        type: "string",
+        enum: [...databases.keys()],
+        description: `Database to use (default: ${defaultDatabase.name})`
+      };
+    }
+  }
+  
+  return tools;
+}
+
+// Tools that write to the database (hidden and rejected in read-only mode)
+const MUTATING_TOOLS = [
+  "insert_document",
+  "insert_documents",
+  "upsert_document",
+  "update_document",
+  "delete_documents",
+  "create_vector_index",
+  "create_collection",
+  "drop_collection",
+  "reembed_table"
+];
+
+/**
+ * Explain why a tool is switched off by configuration, or return null if it is enabled
+ *
+ * Without a database, write tools only count as disabled when every database is read-only.
+ */
+function getToolDisabledReason(name, database = null) {
+  // Always keep a way to inspect the server
+  if (name === "status_check") {
+    return null;
+  }
+  if (MUTATING_TOOLS.includes(name)) {
+    if ([...databases.values()].every(each => each.settings.readOnly)) {
+      return "server is in read-only mode";
+    }
+    if (database?.settings.readOnly) {
+      return `database ${database.name} is read-only`;
+    }
+  }
+  if (CONFIG.tools.enabled.length > 0 && !CONFIG.tools.enabled.includes(name)) {
+    return "not listed in ENABLED_TOOLS";
+  }
+  if (CONFIG.tools.disabled.includes(name)) {
+    return "listed in DISABLED_TOOLS";
+  }
+  return null;
+}
+
+/**
+ * Tools exposed after read-only mode and per-tool settings are applied
+ */
+function getEffectiveTools() {
+  return buildToolDefinitions().filter(tool => getToolDisabledReason(tool.name) === null);
+}
+
+/**
+ * Names of the tools usable right now, given the database connection states
+ */
+function getAvailableToolNames() {
+  const names = getEffectiveTools().map(tool => tool.name);
+  const connected = [...databases.values()].some(database => database.status === 'connected');
+  return connected ? names : names.filter(name => name === "status_check");
+}
+
+/**
+ * Create an MCP server with the tool handlers; one per stdio process or HTTP session
+ */
+function createMcpServer() {
+  const server = new Server(
+    {
+      name: CONFIG.server.name,
+      version: CONFIG.server.version,
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(ListPromptsRequestSchema, handleListPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+  return server;
+}
+
+/**
+ * Prompts whose tools are usable right now
+ */
+function getAvailablePrompts() {
+  const tools = getAvailableToolNames();
+  return PROMPTS.filter(prompt => prompt.tools.some(tool => tools.includes(tool)));
+}
+
+// List the prompts
+async function handleListPrompts() {
+  return {
+    prompts: getAvailablePrompts().map(({ name, description, arguments: promptArguments }) => ({
+      name,
+      description,
+      arguments: promptArguments
+    }))
+  };
+}
+
+// Fill in a prompt by running the search it is built on
+async function handleGetPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  
+  if (!PROMPTS.some(prompt => prompt.name === name)) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+  if (!getAvailablePrompts().some(prompt => prompt.name === name)) {
+    throw new McpError(ErrorCode.MethodNotFound, `Prompt ${name} is disabled: the tools it runs on are not available`);
+  }
+  
+  return databaseContext.run(getDatabase(args.database), () => renderPrompt(name, args));
+}
+
+/**
+ * Fill in a prompt against the current database
+ */
+async function renderPrompt(name, args) {
+  const { embeddingProvider } = currentDatabase();
+  try {
+    let filters, limit;
+    try {
+      filters = parseJsonArgument('filters', args.filters);
+      limit = name === 'summarize_collection'
+        ? parseCountArgument('sample_size', args.sample_size, Math.min(20, CONFIG.limits.metadataResults), CONFIG.limits.metadataResults)
+        : parseCountArgument('limit', args.limit, Math.min(5, CONFIG.limits.searchResults), CONFIG.limits.searchResults);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    
+    const table = args.table || CONFIG.tables.defaultTable;
+    const target = name === 'explain_schema' && !args.table ? null : await resolveTable(table);
+    const qualifiedName = target ? `${target.schema}.${target.name}` : null;
+    const withUri = (document) => ({ ...document, uri: documentUri(qualifiedName, document.id, uriDatabase(currentDatabase())) });
+    
+    switch (name) {
+      case "answer_from_knowledge_base": {
+        if (!args.question) {
+          throw new McpError(ErrorCode.InvalidParams, 'Prompt argument question is required');
+        }
+        
+        // Keyword-only ranking when vector search is unavailable
+        if (getAvailableToolNames().includes("vector_search") && currentDatabase().embeddingProvider !== "none") {
+          const page = await vectorSearch(args.question, table, limit, 0.5, filters);
+          return renderAnswerPrompt({
+            question: args.question,
+            table: qualifiedName,
+            ranking: 'similarity',
+            documents: page.results.map(result => ({ ...withUri(result), score: result.similarity.toFixed(3) }))
+          });
+        }
+        if (filters) {
+          throw new McpError(ErrorCode.InvalidParams, 'filters need vector_search, which is not available');
+        }
+        const hybridDisabled = getToolDisabledReason("hybrid_search", currentDatabase());
+        if (hybridDisabled) {
+          throw new McpError(
+            ErrorCode.MethodNotFound,
+            `Prompt ${name} needs vector_search with embeddings or hybrid_search, which is disabled: ${hybridDisabled}`
+          );
+        }
+        const results = await hybridSearch(args.question, table, limit, { fusion: 'rrf' });
+        return renderAnswerPrompt({
+          question: args.question,
+          table: qualifiedName,
+          ranking: embeddingProvider !== "none" ? 'hybrid ranking' : 'keyword ranking',
+          documents: results.map(result => ({ ...withUri(result), score: result.fused_score.toFixed(4) }))
+        });
+      }
+      
+      case "summarize_collection": {
+        const page = await metadataSearch(filters || {}, table, limit);
+        return renderSummaryPrompt({
+          table: qualifiedName,
+          filters,
+          hasMore: page.hasMore,
+          documents: page.results.map(withUri)
+        });
+      }
+      
+      case "explain_schema": {
+        return renderSchemaPrompt({
+          table: qualifiedName,
+          report: formatTableSchemas(await getTableSchemas(target))
+        });
+      }
+    }
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    throw new McpError(ErrorCode.InternalError, `Prompt failed: ${error.message}`);
+  }
+}
+
+/**
+ * Describe a vector column for resource listings, e.g. "embedding (1536 dims, openai/text-embedding-3-small)"
+ */
+function describeEmbeddingColumn(table, column) {
+  const details = [
+    table.vectorDimensions[column] ? `${table.vectorDimensions[column]} dims` : null,
+    table.embeddingModels[column] || null
+  ].filter(Boolean);
+  return details.length > 0 ? `${column} (${details.join(', ')})` : column;
+}
+
+// List a resource per vector table of each connected database
+async function handleListResources() {
+  const resources = [];
+  for (const database of databases.values()) {
+    if (database.status !== 'connected') {
+      continue;
+    }
+    
+    try {
+      // Catalog only, since clients may list often; reading a table gives the exact count
+      const tables = await databaseContext.run(database, () => listVectorTables());
+      for (const table of tables) {
+        const rows = table.estimatedRows >= 0 ? `about ${table.estimatedRows} rows` : 'rows not yet counted';
+        resources.push({
+          uri: tableUri(table.qualifiedName, uriDatabase(database)),
+          name: uriDatabase(database) ? `${table.qualifiedName} (${database.name})` : table.qualifiedName,
+          description: `Vector table with ${rows}; embedding columns: ` +
+            table.embeddingColumns.map(column => describeEmbeddingColumn(table, column)).join(', '),
+          mimeType: "application/json"
+        });
+      }
+    } catch (error) {
+      console.error(`⚠️  Could not list the resources of database ${database.name}: ${error.message}`);
+    }
+  }
+  return { resources };
+}
+
+/**
+ * Database name for resource URIs, which leave out the default database
+ */
+function uriDatabase(database) {
+  return database === defaultDatabase ? null : database.name;
+}
+
+// Documents are addressed by table and primary key
+async function handleListResourceTemplates() {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: DOCUMENT_URI_TEMPLATE,
+        name: "Document",
+        description: "A single document by table (schema.table) and id, with its full content and metadata; append ?database=<name> for a named database",
+        mimeType: "application/json"
+      }
+    ]
+  };
+}
+
+// Read a table description or a single document
+async function handleReadResource(request) {
+  const { uri } = request.params;
+  
+  let parsed;
+  try {
+    parsed = parseResourceUri(uri);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+  
+  return databaseContext.run(getDatabase(parsed.database), () => readResource(uri, parsed));
+}
+
+/**
+ * Read a resource from the current database
+ */
+async function readResource(uri, parsed) {
+  const { name: databaseName } = currentDatabase();
+  try {
+    const target = await resolveTable(parsed.table);
+    const qualifiedName = `${target.schema}.${target.name}`;
+    
+    let body;
+    if (parsed.id === null) {
+      const [table] = (await getTableSchemas(target)).tables;
+      if (!table) {
+        throw new McpError(ErrorCode.InvalidParams, `Table ${qualifiedName} is not readable`);
+      }
+      body = {
+        database: databaseName,
+        table: qualifiedName,
+        rowCount: table.rowCount,
+        columns: table.columns,
+        embeddingColumns: table.embeddingColumns.map(column => ({
+          name: column,
+          dimensions: table.vectorDimensions[column] ?? null,
+          model: table.embeddingModels[column] ?? null
+        })),
+        columnMapping: table.columnMapping,
+        documentUri: documentUriTemplate(qualifiedName, uriDatabase(currentDatabase()))
+      };
+    } else {
+      const document = await getDocument(target, parsed.id);
+      body = { uri: documentUri(qualifiedName, document.id, uriDatabase(currentDatabase())), database: databaseName, table: qualifiedName, ...document };
+    }
+    
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify(body, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    throw new McpError(ErrorCode.InternalError, `Resource read failed: ${error.message}`);
+  }
+}
+
+// Define available tools
+async function handleListTools() {
+  return { tools: getEffectiveTools() };
+}
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+async function handleCallTool(request) {
+  const { name, arguments: args = {} } = request.params;
+  
+  const database = name === "status_check" ? defaultDatabase : getDatabase(args.database);
+  const disabledReason = getToolDisabledReason(name, database);
+  if (disabledReason) {
+    throw new McpError(
+      ErrorCode.MethodNotFound,
+      `Tool ${name} is disabled: ${disabledReason}`
+    );
+  }
   
+  return databaseContext.run(database, () => callTool(name, args));
+}
+
+/**
+ * Run a tool against the current database
+ */
+async function callTool(name, args) {
+  const { embeddingProvider } = currentDatabase();
   try {
     switch (name) {
       case "vector_search": {
         if (embeddingProvider === "none") {
           throw new McpError(
             ErrorCode.MethodNotFound,
-            "Vector search is disabled. No embedding provider configured. Please set up Azure OpenAI or Hugging Face credentials."
+            "Vector search is disabled. No embedding provider configured. Please configure Azure OpenAI, OpenAI-compatible, Ollama, Hugging Face or local embeddings."
           );
         }
         
-        const results = await vectorSearch(
+        const output = getOutputOptions(args, SEARCH_RESULT_FIELDS);
+        const page = await vectorSearch(
           args.query,
-          args.table || 'document_embeddings',
-          args.limit || 5,
-          args.similarity_threshold || 0.5
+          args.table || CONFIG.tables.defaultTable,
+          getResultLimit(args.limit, 5, CONFIG.limits.searchResults),
+          args.similarity_threshold ?? 0.5,
+          args.filters,
+          {
+            collapseChunks: args.collapse_chunks || false,
+            metric: args.metric,
+            embeddingColumn: args.embedding_column,
+            efSearch: args.ef_search,
+            probes: args.probes,
+            page: { offset: args.offset, cursor: args.cursor }
+          }
         );
         
         return {
-          content: [
-            {
-              type: "text",
-              text: `Found ${results.length} similar documents:\n\n` +
-                    results.map((result, index) => 
-                      `${index + 1}. [Similarity: ${(result.similarity * 100).toFixed(1)}%]\n` +
-                      `   Content: ${result.content.slice(0, 200)}...\n` +
-                      `   Metadata: ${JSON.stringify(result.metadata, null, 2)}\n`
-                    ).join('\n')
-            }
-          ]
+          content: formatResults(page.results, output, {
+            payload: { table: args.table || CONFIG.tables.defaultTable, ...formatPagePayload(page) },
+            formatText: (results) => `Found ${results.length} similar documents:\n\n` +
+              results.map((result, index) => 
+                `${index + 1}. [Similarity: ${(result.similarity * 100).toFixed(1)}%]\n` +
+                (result.metadata?.document_id !== undefined && result.metadata?.chunk_index !== undefined
+                  ? `   Chunk: ${result.metadata.chunk_index + 1}/${result.metadata.chunk_count} of document ${result.metadata.document_id}\n`
+                  : '') +
+                `   Content: ${result.content}\n` +
+                `   Metadata: ${JSON.stringify(result.metadata, null, 2)}\n`
+              ).join('\n') +
+              formatPageFooter(page)
+          })
+        };
+      }
+      
+      case "hybrid_search": {
+        const output = getOutputOptions(args, HYBRID_RESULT_FIELDS);
+        const results = await hybridSearch(
+          args.query,
+          args.table || CONFIG.tables.defaultTable,
+          getResultLimit(args.limit, 5, CONFIG.limits.searchResults),
+          {
+            fusion: args.fusion || 'rrf',
+            vectorWeight: args.vector_weight ?? 0.5,
+            textSearchConfig: args.text_search_config || 'english',
+            metric: args.metric,
+            embeddingColumn: args.embedding_column
+          }
+        );
+        const formatScore = (score) => score === null ? 'n/a' : score.toFixed(4);
+        
+        return {
+          content: formatResults(results, output, {
+            payload: {
+              table: args.table || CONFIG.tables.defaultTable,
+              ranking: embeddingProvider !== "none" ? 'hybrid' : 'keyword'
+            },
+            formatText: (results) => `Found ${results.length} documents (${embeddingProvider !== "none" ? 'hybrid' : 'keyword-only'} ranking):\n\n` +
+              results.map((result, index) => 
+                `${index + 1}. ID: ${result.id} [Fused: ${result.fused_score.toFixed(4)} | Vector: ${formatScore(result.vector_score)} | Keyword: ${formatScore(result.keyword_score)}]\n` +
+                `   Content: ${result.content}\n` +
+                `   Metadata: ${JSON.stringify(result.metadata, null, 2)}\n`
+              ).join('\n')
+          })
         };
       }
       
       case "metadata_search": {
-        const results = await metadataSearch(
+        const output = getOutputOptions(args, METADATA_RESULT_FIELDS);
+        const page = await metadataSearch(
           args.filters,
-          args.table || 'document_embeddings',
-          args.limit || 10
+          args.table || CONFIG.tables.defaultTable,
+          getResultLimit(args.limit, 10, CONFIG.limits.metadataResults),
+          { offset: args.offset, cursor: args.cursor },
+          args.order_by
         );
         
         return {
-          content: [
-            {
-              type: "text",
-              text: `Found ${results.length} documents matching filters:\n\n` +
-                    results.map((result, index) => 
-                      `${index + 1}. ID: ${result.id}\n` +
-                      `   Content: ${result.content.slice(0, 200)}...\n` +
-                      `   Metadata: ${JSON.stringify(result.metadata, null, 2)}\n`
-                    ).join('\n')
-            }
-          ]
+          content: formatResults(page.results, output, {
+            payload: { table: args.table || CONFIG.tables.defaultTable, ...formatPagePayload(page) },
+            formatText: (results) => `Found ${results.length} documents matching filters:\n\n` +
+              results.map((result, index) => 
+                `${index + 1}. ID: ${result.id}\n` +
+                `   Content: ${result.content}\n` +
+                `   Metadata: ${JSON.stringify(result.metadata, null, 2)}\n`
+              ).join('\n') +
+              formatPageFooter(page)
+          })
+        };
+      }
+      
+      case "metadata_facets": {
+        const output = getOutputOptions({ format: args.format }, []);
+        const facets = await metadataFacets(
+          args.keys,
+          args.filters,
+          args.table || CONFIG.tables.defaultTable,
+          getResultLimit(args.limit, 20, MAX_FACET_VALUES)
+        );
+        const formatValue = (value) => value === null ? '(none)' : typeof value === 'string' ? value : JSON.stringify(value);
+        
+        return {
+          content: formatOutput(output.format, {
+            formatJson: () => facets,
+            formatText: () => `${facets.total} documents in ${facets.table}${args.filters ? ' matching filters' : ''}\n\n` +
+              facets.facets.map(facet =>
+                `${facet.key} (${facet.distinctValues} distinct values` +
+                `${facet.values.length < facet.distinctValues ? `, top ${facet.values.length} shown` : ''}):\n` +
+                facet.values.map(entry => `   ${formatValue(entry.value)}: ${entry.count}`).join('\n')
+              ).join('\n\n')
+          })
         };
       }
       
@@ -676,9 +3833,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               text: `Database Statistics:\n\n` +
                     `Total Documents: ${stats.totalDocuments}\n\n` +
                     `Vector-enabled Tables:\n` +
-                    stats.tables.map(table => 
-                      `- ${table.name}: ${table.documentCount} documents (${table.embeddingColumn} column)`
-                    ).join('\n')
+                    Object.entries(groupBySchema(stats.tables)).map(([schema, tables]) =>
+                      `Schema ${schema} (${stats.schemas[schema]} documents):\n` +
+                      tables.map(table => 
+                        `- ${table.qualifiedName}: ${table.documentCount} documents (${table.embeddingColumns.join(', ')} column${table.embeddingColumns.length > 1 ? 's' : ''})`
+                      ).join('\n')
+                    ).join('\n\n')
             }
           ]
         };
@@ -691,33 +3851,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [
             {
               type: "text",
-              text: `Database Table Schemas:\n\n` +
-                    schemas.tables.map(table => {
-                      let tableInfo = `## ${table.name} (${table.rowCount} rows)\n`;
-                      
-                      // Embedding columns info
-                      if (table.embeddingColumns.length > 0) {
-                        tableInfo += `📊 Embedding Columns: ${table.embeddingColumns.join(', ')}\n`;
-                        table.embeddingColumns.forEach(col => {
-                          const dims = table.vectorDimensions[col];
-                          tableInfo += `   - ${col}: ${dims} dimensions\n`;
-                        });
-                      }
-                      
-                      // All columns
-                      tableInfo += `\nColumns:\n`;
-                      table.columns.forEach(col => {
-                        const nullable = col.nullable ? ' (nullable)' : ' (required)';
-                        const defaultVal = col.default ? ` [default: ${col.default}]` : '';
-                        tableInfo += `   - ${col.name}: ${col.type}${nullable}${defaultVal}\n`;
-                      });
-                      
-                      return tableInfo;
-                    }).join('\n') +
-                    `\n${schemas.usage.vectorSearch}\n` +
-                    `${schemas.usage.metadataSearch}\n` +
-                    `${schemas.usage.insertDocument}\n` +
-                    `${schemas.usage.tableParameter}`
+              text: formatTableSchemas(schemas)
             }
           ]
         };
@@ -727,14 +3861,38 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         if (embeddingProvider === "none") {
           throw new McpError(
             ErrorCode.MethodNotFound,
-            "Document insertion with embeddings is disabled. No embedding provider configured. Please set up Azure OpenAI or Hugging Face credentials."
+            "Document insertion with embeddings is disabled. No embedding provider configured. Please configure Azure OpenAI, OpenAI-compatible, Ollama, Hugging Face or local embeddings."
+          );
+        }
+        
+        const chunking = resolveChunkOptions(args.chunking);
+        
+        if (chunkText(args.content, chunking).length > 1) {
+          const [result] = await insertChunkedDocuments(
+            [{ content: args.content, metadata: args.metadata || {} }],
+            args.table || CONFIG.tables.defaultTable,
+            { chunking }
           );
+          if (result.status !== 'inserted') {
+            throw new Error(result.error);
+          }
+          
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Document split into ${result.ids.length} chunks and inserted successfully\n` +
+                      `Document ID: ${result.documentId}\n` +
+                      `Chunk row IDs: ${result.ids.join(', ')}`
+              }
+            ]
+          };
         }
         
         const documentId = await insertDocument(
           args.content,
           args.metadata || {},
-          args.table || 'document_embeddings'
+          args.table || CONFIG.tables.defaultTable
         );
         
         return {
@@ -747,39 +3905,304 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
       
+      case "insert_documents": {
+        if (embeddingProvider === "none") {
+          throw new McpError(
+            ErrorCode.MethodNotFound,
+            "Document insertion with embeddings is disabled. No embedding provider configured. Please configure Azure OpenAI, OpenAI-compatible, Ollama, Hugging Face or local embeddings."
+          );
+        }
+        
+        if (!Array.isArray(args.documents) || args.documents.length === 0) {
+          throw new McpError(ErrorCode.InvalidParams, "documents must be a non-empty array");
+        }
+        
+        const results = await insertChunkedDocuments(
+          args.documents,
+          args.table || CONFIG.tables.defaultTable,
+          {
+            allowPartial: args.allow_partial || false,
+            chunking: args.chunking || {}
+          }
+        );
+        const inserted = results.filter(result => result.status === 'inserted').length;
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Inserted ${inserted} of ${results.length} documents` +
+                    `${inserted < results.length && !args.allow_partial ? ' (all-or-nothing: nothing was written)' : ''}:\n\n` +
+                    results.map(result => 
+                      result.status !== 'inserted'
+                        ? `${result.index + 1}. ❌ ${result.status}: ${result.error}`
+                        : result.documentId
+                          ? `${result.index + 1}. ✅ ${result.ids.length} chunks (document ID: ${result.documentId}), IDs: ${result.ids.join(', ')}`
+                          : `${result.index + 1}. ✅ ID: ${result.ids[0]}`
+                    ).join('\n')
+            }
+          ]
+        };
+      }
+      
+      case "update_document": {
+        if (args.content !== undefined && embeddingProvider === "none") {
+          throw new McpError(
+            ErrorCode.MethodNotFound,
+            "Updating content requires embeddings. No embedding provider configured. Please configure Azure OpenAI, OpenAI-compatible, Ollama, Hugging Face or local embeddings."
+          );
+        }
+        
+        const rowCount = await updateDocument(
+          args.id,
+          {
+            content: args.content,
+            metadata: args.metadata,
+            metadataMode: args.metadata_mode || 'merge'
+          },
+          args.table || CONFIG.tables.defaultTable
+        );
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: rowCount > 0
+                ? `Document ${args.id} updated (${rowCount} row affected)`
+                : `No changes: document ${args.id} not found or already up to date (0 rows affected)`
+            }
+          ]
+        };
+      }
+      
+      case "upsert_document": {
+        if (embeddingProvider === "none") {
+          throw new McpError(
+            ErrorCode.MethodNotFound,
+            "Document upsert with embeddings is disabled. No embedding provider configured. Please configure Azure OpenAI, OpenAI-compatible, Ollama, Hugging Face or local embeddings."
+          );
+        }
+        
+        const result = await upsertDocument(
+          args.content,
+          args.metadata || {},
+          { externalId: args.external_id, chunking: args.chunking || {} },
+          args.table || CONFIG.tables.defaultTable
+        );
+        
+        const summary = {
+          unchanged: `Content unchanged; metadata refreshed on ${result.rowCount} row(s)`,
+          inserted: `Document inserted (${result.ids.length} row(s))`,
+          replaced: `Document replaced: ${result.deletedCount} old row(s) deleted, ${result.ids.length} new row(s) inserted`
+        };
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${summary[result.action]}\n` +
+                    `Rows affected: ${result.rowCount}\n` +
+                    `IDs: ${result.ids.join(', ')}`
+            }
+          ]
+        };
+      }
+      
+      case "delete_documents": {
+        const deletedCount = await deleteDocuments(
+          { ids: args.ids, filters: args.filters },
+          args.table || CONFIG.tables.defaultTable
+        );
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Deleted ${deletedCount} document(s)`
+            }
+          ]
+        };
+      }
+      
+      case "register_table": {
+        if (!args.table) {
+          throw new McpError(ErrorCode.InvalidParams, "table is required");
+        }
+        
+        let mapping;
+        try {
+          mapping = normalizeMapping(args.columns || {});
+        } catch (error) {
+          throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+        
+        // Validate against the catalog before the mapping takes effect
+        const target = await resolveTable(args.table);
+        const columns = await getTableColumns(target, mapping);
+        // Only for the database the call names, like the rest of its state
+        currentDatabase().tableMappings.set(target.schema, target.name, mapping);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Registered column mapping for ${target.schema}.${target.name}:\n` +
+                    `- id: ${columns.names.id}\n` +
+                    `- content: ${columns.names.content}\n` +
+                    `- metadata: ${columns.names.metadata.join(', ') || 'none'}` +
+                    `${columns.names.metadata.length > 0 && !columns.metadataColumn ? ' (read-only, no JSONB column)' : ''}\n` +
+                    `- created_at: ${columns.names.createdAt || 'none'}\n` +
+                    `- embedding: ${columns.names.embedding ? `${columns.names.embedding} (${columns.names.embeddingType})` : 'none'}`
+            }
+          ]
+        };
+      }
+      
+      case "reembed_table": {
+        const summary = await reembedTable(args.table || CONFIG.tables.defaultTable, {
+          embeddingColumn: args.embedding_column,
+          batchSize: args.batch_size || 100,
+          maxRows: args.max_rows || 1000,
+          swap: args.swap ?? true,
+          dropOld: args.drop_old || false
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: formatReembedSummary(summary)
+            }
+          ]
+        };
+      }
+      
+      case "list_vector_indexes": {
+        const indexes = await listVectorIndexes(args.table || CONFIG.tables.defaultTable);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: indexes.length === 0
+                ? `No vector indexes on ${args.table || CONFIG.tables.defaultTable}; searches scan the whole table. Use create_vector_index to add one.`
+                : `Vector indexes on ${args.table || CONFIG.tables.defaultTable}:\n\n` +
+                  indexes.map(index =>
+                    `- ${index.name}${index.valid ? '' : ' ⚠️ INVALID (failed or in-progress concurrent build)'}\n` +
+                    `   Type: ${index.method} on ${index.column} (${index.operatorClass}, metric: ${index.metric || 'unknown'})\n` +
+                    `   Parameters: ${Object.entries(index.parameters).map(([key, value]) => `${key}=${value}`).join(', ') || 'defaults'}\n` +
+                    `   Size: ${index.size}`
+                  ).join('\n')
+            }
+          ]
+        };
+      }
+      
+      case "create_vector_index": {
+        const index = await createVectorIndex(args.table || CONFIG.tables.defaultTable, {
+          method: args.method || 'hnsw',
+          metric: args.metric || 'cosine',
+          embeddingColumn: args.embedding_column,
+          name: args.name,
+          replace: args.replace || false,
+          m: args.m,
+          efConstruction: args.ef_construction,
+          lists: args.lists
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${index.replaced ? 'Rebuilt' : 'Created'} ${index.method} index ${index.name} on ${index.column} ` +
+                    `(metric: ${index.metric}) in ${(index.durationMs / 1000).toFixed(1)}s\n` +
+                    `Parameters: ${Object.entries(index.parameters).map(([key, value]) => `${key}=${value}`).join(', ')} ` +
+                    `(table has ~${index.rowCount} rows)\n` +
+                    `SQL: ${index.sql}`
+            }
+          ]
+        };
+      }
+      
+      case "create_collection": {
+        const collection = await createCollection(args.table || CONFIG.tables.defaultTable, {
+          dimensions: args.dimensions,
+          metric: args.metric || 'cosine',
+          vectorIndex: args.vector_index ?? true
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Created collection ${collection.table} with vector(${collection.dimension}) embeddings (metric: ${collection.metric})\n\n` +
+                    `Executed:\n${collection.statements.map(statement => `- ${statement.replace(/\s+/g, ' ')}`).join('\n')}` +
+                    (collection.notes.length > 0 ? `\n\n⚠️  ${collection.notes.join('\n⚠️  ')}` : '')
+            }
+          ]
+        };
+      }
+      
+      case "drop_collection": {
+        if (!args.table) {
+          throw new McpError(ErrorCode.InvalidParams, "table is required");
+        }
+        const dropped = await dropCollection(args.table, args.confirm);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Dropped collection ${dropped}`
+            }
+          ]
+        };
+      }
+      
       case "status_check": {
         const status = {
           server: "MCP PGVector Server",
           version: CONFIG.server.version,
-          embeddingProvider: embeddingProvider,
-          database: {
-            status: dbConnectionStatus,
-            hasConnection: dbConnectionStatus === 'connected',
-            connectionString: CONFIG.db.connectionString ? 
-              `${CONFIG.db.connectionString.split('@')[1]?.split('/')[0] || 'configured'}` : 'not configured'
-          },
+          transport: CONFIG.server.transport,
+          sessions: httpTransport ? httpTransport.sessions.size : null,
+          embeddingModelCheck: CONFIG.embeddings.modelCheck,
+          databases: [...databases.values()].map(describeDatabase),
           availableTools: [],
           limitations: []
         };
         
-        // Determine available functionality
-        if (dbConnectionStatus === 'connected') {
-          if (embeddingProvider !== "none") {
-            status.availableTools = ["vector_search", "metadata_search", "get_database_stats", "get_table_schemas", "insert_document"];
-          } else {
-            status.availableTools = ["metadata_search", "get_database_stats", "get_table_schemas"];
-            status.limitations.push("Vector search disabled - no embedding provider configured");
+        // Determine available functionality from the effective tool set
+        status.availableTools = getAvailableToolNames();
+        status.disabledTools = buildToolDefinitions()
+          .map(tool => ({ name: tool.name, reason: getToolDisabledReason(tool.name) }))
+          .filter(tool => tool.reason !== null);
+        
+        const allReadOnly = status.databases.every(database => database.readOnly);
+        if (allReadOnly) {
+          status.limitations.push("Read-only mode - write tools disabled and transactions are read-only");
+        }
+        
+        for (const database of status.databases) {
+          const prefix = status.databases.length > 1 ? `${database.name}: ` : '';
+          if (database.readOnly && !allReadOnly) {
+            status.limitations.push(`${prefix}Read-only - write tools are rejected and transactions are read-only`);
           }
-        } else {
-          status.availableTools = ["status_check"];
-          status.limitations.push("Database tools disabled - no database connection");
           
-          if (dbConnectionStatus === 'no_url') {
-            status.limitations.push("Set DATABASE_URL environment variable to enable database features");
-          } else if (dbConnectionStatus === 'failed') {
-            status.limitations.push("Database connection failed - check connectivity and credentials");
-          } else if (dbConnectionStatus === 'skipped_health_check') {
-            status.limitations.push("Health check mode - database connection skipped");
+          if (database.hasConnection) {
+            if (database.embeddingProvider === "none") {
+              status.limitations.push(`${prefix}Vector search disabled - no embedding provider configured`);
+              status.limitations.push(`${prefix}Hybrid search falls back to keyword-only ranking`);
+            }
+          } else {
+            status.limitations.push(`${prefix}Database tools disabled - no database connection`);
+            
+            if (database.status === 'no_url') {
+              status.limitations.push(`${prefix}Set DATABASE_URL environment variable to enable database features`);
+            } else if (database.status === 'failed') {
+              status.limitations.push(`${prefix}Database connection failed - check connectivity and credentials`);
+            } else if (database.status === 'skipped_health_check') {
+              status.limitations.push(`${prefix}Health check mode - database connection skipped`);
+            }
           }
         }
         
@@ -790,14 +4213,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               text: `Server Status Report:
 
 🚀 Server: ${status.server} v${status.version}
-🔧 Embedding Provider: ${status.embeddingProvider}
+🔌 Transport: ${status.transport}${status.sessions !== null ? ` (${status.sessions} active sessions)` : ''}
+🧭 Embedding Model Check: ${status.embeddingModelCheck ? 'on' : 'off'}
 
-📊 Database Status: ${status.database.status}
-🔗 Connection: ${status.database.connectionString}
-✅ Connected: ${status.database.hasConnection ? 'Yes' : 'No'}
+${status.databases.map(formatDatabaseStatus).join('\n\n')}
 
 🛠️  Available Tools: ${status.availableTools.join(', ')}
-
+${status.disabledTools.length > 0 ? '🚫 Disabled Tools: ' + status.disabledTools.map(t => `${t.name} (${t.reason})`).join(', ') + '\n' : ''}
 ${status.limitations.length > 0 ? '⚠️  Limitations:\n' + status.limitations.map(l => `   - ${l}`).join('\n') : '✅ All features available'}
 
 ${isHealthCheck ? '\n🏥 Running in health check mode' : ''}`
@@ -813,48 +4235,245 @@ ${isHealthCheck ? '\n🏥 Running in health check mode' : ''}`
         );
     }
   } catch (error) {
+    // Keep deliberate MCP errors (bad arguments, disabled tools) as they are
+    if (error instanceof McpError) {
+      throw error;
+    }
     throw new McpError(
       ErrorCode.InternalError,
       `Tool execution failed: ${error.message}`
     );
   }
-});
+}
+
+/**
+ * Render get_table_schemas output as a report grouped by schema
+ */
+function formatTableSchemas(schemas) {
+  return `Database Table Schemas:\n\n` +
+    Object.entries(schemas.schemas).map(([schema, tables]) =>
+    `# Schema: ${schema}\n\n` +
+    tables.map(table => {
+      let tableInfo = `## ${table.qualifiedName} (${table.rowCount} rows)\n`;
+      
+      // Embedding columns info
+      if (table.embeddingColumns.length > 0) {
+        tableInfo += `📊 Embedding Columns: ${table.embeddingColumns.join(', ')}\n`;
+        table.embeddingColumns.forEach(col => {
+          const dims = table.vectorDimensions[col];
+          const model = table.embeddingModels[col] || 'model not recorded';
+          tableInfo += `   - ${col}: ${dims} dimensions (${model})\n`;
+        });
+      }
+      
+      if (table.columnMapping) {
+        tableInfo += `🗺️  Column Mapping: ${formatColumnMapping(table.columnMapping)}\n`;
+      }
+      
+      // All columns
+      tableInfo += `\nColumns:\n`;
+      table.columns.forEach(col => {
+        const nullable = col.nullable ? ' (nullable)' : ' (required)';
+        const defaultVal = col.default ? ` [default: ${col.default}]` : '';
+        tableInfo += `   - ${col.name}: ${col.type}${nullable}${defaultVal}\n`;
+      });
+      
+      return tableInfo;
+    }).join('\n')
+    ).join('\n') +
+    `\n${schemas.usage.vectorSearch}\n` +
+    `${schemas.usage.hybridSearch}\n` +
+    `${schemas.usage.metadataSearch}\n` +
+    `${schemas.usage.insertDocument}\n` +
+    `${schemas.usage.columnMapping}\n` +
+    `${schemas.usage.tableParameter}`;
+}
+
+/**
+ * Page fields of a search's JSON output
+ */
+function formatPagePayload(page) {
+  return { has_more: page.hasMore, next_cursor: page.nextCursor };
+}
+
+/**
+ * Closing line of a search's text output telling how to get the next page
+ */
+function formatPageFooter(page) {
+  return page.hasMore ? `\nMore results available. Pass cursor "${page.nextCursor}" to get the next page.` : '';
+}
+
+/**
+ * Render a reembed_table run for the tool and the CLI
+ */
+function formatReembedSummary(summary) {
+  const lines = [
+    `Re-embedding ${summary.table}.${summary.column} with ${summary.model} (${summary.dimension} dimensions)`,
+    `Processed: ${summary.processed}, failed: ${summary.failed}, remaining: ${summary.remaining}`
+  ];
+  if (summary.indexes.length > 0) {
+    lines.push(`Built vector indexes on the new embeddings: ${summary.indexes.join(', ')}`);
+  }
+  if (summary.swapped) {
+    lines.push(`✅ Swapped ${summary.shadowColumn} in as ${summary.column}` +
+      (summary.previousColumn ? `; old embeddings kept in ${summary.previousColumn}` : '; old embeddings dropped'));
+  } else if (summary.remaining > 0) {
+    lines.push(`Searches still use ${summary.column}. Run again to continue` +
+      (summary.failed > 0 ? ' (failed rows are retried on the next run)' : ''));
+  } else {
+    lines.push(`All rows are embedded in ${summary.shadowColumn}; run with swap enabled to switch over`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a column mapping as key=column pairs
+ */
+function formatColumnMapping(mapping) {
+  return Object.entries(mapping)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('+') || 'none' : value ?? 'none'}`)
+    .join(', ');
+}
+
+/**
+ * Render embedding cache counters for status_check
+ */
+function formatCacheStats(stats) {
+  if (!stats) {
+    return 'disabled';
+  }
+  return `${stats.hits} hits (${stats.memoryHits} memory, ${stats.persistentHits} postgres), ` +
+    `${stats.misses} misses, ${(stats.hitRate * 100).toFixed(1)}% hit rate, ` +
+    `${stats.entries}/${stats.maxEntries} in memory` +
+    (stats.persistentTable ? `, table ${stats.persistentTable} (${stats.persistentErrors} errors)` : ', no postgres layer');
+}
+
+/**
+ * Host of a connection string for status output, without credentials
+ */
+function describeConnection(connectionString) {
+  return connectionString ? connectionString.split('@')[1]?.split('/')[0] || 'configured' : 'not configured';
+}
+
+/**
+ * Connection, provider and cache state of one database for status_check
+ */
+function describeDatabase(database) {
+  return {
+    name: database.name,
+    isDefault: database === defaultDatabase,
+    status: database.status,
+    hasConnection: database.status === 'connected',
+    connectionString: describeConnection(database.settings.connectionString),
+    schemaSearchOrder: getSchemaSearchOrder(database.settings),
+    readOnly: database.settings.readOnly,
+    embeddingProvider: database.embeddingProvider,
+    embeddingModel: getEmbeddingModel(database),
+    embeddingCache: database.embeddingCache ? database.embeddingCache.getStats() : null,
+    tablePolicy: database.tablePolicy.describe(),
+    tableMappings: database.tableMappings.entries().map(entry => entry.table)
+  };
+}
+
+/**
+ * Render one database's part of the status_check report
+ */
+function formatDatabaseStatus(database) {
+  return `📊 Database ${database.name}${database.isDefault && database.name !== DEFAULT_DATABASE ? ' (default)' : ''}: ${database.status}
+🔗 Connection: ${database.connectionString}
+📁 Schemas: ${database.schemaSearchOrder.join(', ')}
+✅ Connected: ${database.hasConnection ? 'Yes' : 'No'}${database.readOnly ? ' (read-only)' : ''}
+🔧 Embedding Provider: ${database.embeddingProvider}${database.embeddingModel ? ` (${database.embeddingModel})` : ''}
+🗄️  Embedding Cache: ${formatCacheStats(database.embeddingCache)}
+🔒 Table Policy: allow ${database.tablePolicy.allow.length > 0 ? database.tablePolicy.allow.join(', ') : 'all'}; deny ${database.tablePolicy.deny.length > 0 ? database.tablePolicy.deny.join(', ') : 'none'}
+🗺️  Column Mappings: ${database.tableMappings.length > 0 ? database.tableMappings.join(', ') : 'none'}`;
+}
+
+// HTTP server and live sessions when serving over SSE
+let httpTransport = null;
 
 // Start the server
 async function main() {
-  // Initialize database connection (lazy)
-  await initializeDatabase();
+  // Initialize database connections (lazy)
+  for (const database of databases.values()) {
+    await initializeDatabase(database);
+  }
   
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error(`🚀 MCP PGVector Server started successfully`);
+  if (CONFIG.server.transport === 'sse') {
+    if (!CONFIG.server.authToken && !['127.0.0.1', 'localhost', '::1'].includes(CONFIG.server.host)) {
+      console.error(`⚠️  Listening on ${CONFIG.server.host} without MCP_AUTH_TOKEN; anyone who can reach the port can use the tools`);
+    }
+    httpTransport = await startHttpTransport({
+      host: CONFIG.server.host,
+      port: CONFIG.server.port,
+      basePath: CONFIG.server.basePath,
+      authToken: CONFIG.server.authToken,
+      createServer: createMcpServer
+    });
+    console.error(`🚀 MCP PGVector Server listening on http://${CONFIG.server.host}:${CONFIG.server.port}${CONFIG.server.basePath}/sse` +
+      `${CONFIG.server.authToken ? ' (bearer token required)' : ''}`);
+  } else {
+    await createMcpServer().connect(new StdioServerTransport());
+    console.error(`🚀 MCP PGVector Server started successfully`);
+  }
   
   // Database status reporting
-  const dbStatus = {
-    'connected': CONFIG.db.connectionString?.split('@')[1]?.split('/')[0] || 'connected',
-    'failed': 'connection failed - limited mode',
-    'no_url': 'no DATABASE_URL - limited mode', 
-    'skipped_health_check': 'health check mode',
-    'not_attempted': 'not initialized'
-  };
-  console.error(`📊 Database: ${dbStatus[dbConnectionStatus] || dbConnectionStatus}`);
+  for (const database of databases.values()) {
+    const dbStatus = {
+      'connected': describeConnection(database.settings.connectionString),
+      'failed': 'connection failed - limited mode',
+      'no_url': 'no DATABASE_URL - limited mode', 
+      'skipped_health_check': 'health check mode',
+      'not_attempted': 'not initialized'
+    };
+    console.error(`📊 Database${databaseLabel(database)}: ${dbStatus[database.status] || database.status}` +
+      `${database.settings.readOnly ? ' (read-only)' : ''}`);
+  }
   
-  // Dynamic tool list based on database availability
-  let availableTools = [];
-  if (dbConnectionStatus === 'connected') {
-    if (embeddingProvider !== "none") {
-      availableTools = ["vector_search", "metadata_search", "get_database_stats", "get_table_schemas", "insert_document"];
-    } else {
-      availableTools = ["metadata_search", "get_database_stats", "get_table_schemas"];
-    }
-  } else {
-    availableTools = ["status_check"];
+  // Effective tool list based on configuration and database availability
+  console.error(`🔧 Tools: ${getAvailableToolNames().join(', ')}`);
+  if (CONFIG.tools.readOnly) {
+    console.error('🔒 Read-only mode');
+  }
+}
+
+/**
+ * CLI: mcp-pgvector-server reembed <table> [--database name] [--column name] [--batch-size n] [--no-swap] [--drop-old]
+ */
+async function runReembedCommand(argv) {
+  const table = argv.find((arg, index) => !arg.startsWith('--') && !['--config', '--database', '--column', '--batch-size'].includes(argv[index - 1]));
+  const valueOf = (flag) => argv.includes(flag) ? argv[argv.indexOf(flag) + 1] : undefined;
+  const database = getDatabase(valueOf('--database'));
+  if (database.settings.readOnly) {
+    throw new Error(`reembed is not available in read-only mode${databases.size > 1 ? ` (database ${database.name})` : ''}`);
   }
   
-  console.error(`🔧 Tools: ${availableTools.join(', ')}`);
+  const summary = await databaseContext.run(database, () => reembedTable(table || CONFIG.tables.defaultTable, {
+    embeddingColumn: valueOf('--column'),
+    batchSize: parseOptionalInt(valueOf('--batch-size')) || 100,
+    swap: !argv.includes('--no-swap'),
+    dropOld: argv.includes('--drop-old'),
+    onProgress: (progress) => console.error(
+      `🔁 ${progress.processed} re-embedded, ${progress.failed} failed, ~${progress.remaining} remaining`
+    )
+  }));
+  console.error(formatReembedSummary(summary));
+  return summary.remaining === 0 ? 0 : 1;
 }
 
-main().catch((error) => {
-  console.error("❌ Failed to start server:", error);
-  process.exit(1);
-});
\ No newline at end of file
+if (process.argv[2] === 'reembed') {
+  runReembedCommand(process.argv.slice(3))
+    .then(async (code) => {
+      await Promise.all([...databases.values()].map(database => database.pool?.end()));
+      process.exit(code);
+    })
+    .catch((error) => {
+      console.error("❌ Re-embedding failed:", error.message);
+      process.exit(1);
+    });
+} else {
+  main().catch((error) => {
+    console.error("❌ Failed to start server:", error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Vector index helpers
+ *
+ * Builds CREATE INDEX statements for pgvector's HNSW and IVFFlat access
+ * methods, with build parameters derived from the table's row count when the
+ * caller doesn't set them.
+ */
+
+import { getMetric } from './metrics.js';
+import { quoteIdentifier } from './identifiers.js';
+
+export const VECTOR_INDEX_METHODS = ['hnsw', 'ivfflat'];
+
+// pgvector can't index vector columns with more dimensions than this
+export const MAX_INDEXED_DIMENSIONS = 2000;
+
+// PostgreSQL truncates identifiers longer than this
+const MAX_IDENTIFIER_LENGTH = 63;
+
+/**
+ * Default build parameters for a table of `rowCount` rows.
+ *
+ * IVFFlat follows the pgvector guidance of rows / 1000 lists up to 1M rows
+ * and sqrt(rows) above that. HNSW keeps pgvector's m = 16 and raises
+ * ef_construction for large tables, trading build time for recall.
+ */
+export function defaultIndexOptions(method, rowCount) {
+  if (method === 'ivfflat') {
+    const lists = rowCount > 1000000 ? Math.sqrt(rowCount) : rowCount / 1000;
+    return { lists: Math.max(1, Math.round(lists)) };
+  }
+  return { m: 16, ef_construction: rowCount > 1000000 ? 128 : 64 };
+}
+
+/**
+ * Validate index options, returning the build parameters to use
+ */
+export function resolveIndexOptions(method, metric, options, rowCount) {
+  if (!VECTOR_INDEX_METHODS.includes(method)) {
+    throw new Error(`Unknown index method: ${method} (expected one of ${VECTOR_INDEX_METHODS.join(', ')})`);
+  }
+  getMetric(metric);
+  if (method === 'ivfflat' && metric === 'l1') {
+    throw new Error('IVFFlat indexes do not support the l1 metric; use hnsw');
+  }
+
+  const allowed = method === 'hnsw' ? ['m', 'ef_construction'] : ['lists'];
+  const parameters = defaultIndexOptions(method, rowCount);
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (!allowed.includes(key)) {
+      throw new Error(`Option ${key} does not apply to ${method} indexes (expected ${allowed.join(', ')})`);
+    }
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Option ${key} must be a positive integer`);
+    }
+    parameters[key] = value;
+  }
+
+  // A larger m needs a larger default build candidate list
+  if (method === 'hnsw' && options.ef_construction === undefined) {
+    parameters.ef_construction = Math.max(parameters.ef_construction, 2 * parameters.m);
+  }
+  if (method === 'hnsw' && parameters.ef_construction < 2 * parameters.m) {
+    throw new Error('ef_construction must be at least twice m');
+  }
+  return parameters;
+}
+
+/**
+ * Default index name, e.g. document_embeddings_embedding_hnsw_cosine_idx
+ */
+export function defaultIndexName(table, column, method, metric) {
+  const suffix = `_${method}_${metric}_idx`;
+  return `${table}_${column}`.slice(0, MAX_IDENTIFIER_LENGTH - suffix.length) + suffix;
+}
+
+/**
+ * Build a CREATE INDEX statement (`tableSql` is already quoted)
+ *
+ * Concurrent by default; pass concurrently: false inside a transaction.
+ */
+export function buildCreateIndexSql({ name, tableSql, column, method, metric, parameters, concurrently = true }) {
+  const withClause = Object.entries(parameters).map(([key, value]) => `${key} = ${value}`).join(', ');
+  return `CREATE INDEX${concurrently ? ' CONCURRENTLY' : ''} ${quoteIdentifier(name)} ON ${tableSql} ` +
+    `USING ${method} (${quoteIdentifier(column)} vector${getMetric(metric).operatorClassSuffix}) ` +
+    `WITH (${withClause})`;
+}
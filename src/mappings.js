@@ -0,0 +1,224 @@
+/**
+ * Column mappings
+ *
+ * The tools address rows through five logical columns: primary key, text
+ * content, metadata, timestamp and embedding. Tables that don't use the
+ * default names (id, content, metadata, created_at and an auto-detected
+ * vector column) register a mapping, either in a JSON file or at runtime with
+ * the register_table tool. Example file:
+ *
+ *   {
+ *     "kb.articles": {
+ *       "id": "article_id",
+ *       "content": "body",
+ *       "metadata": ["attrs", "lang"],
+ *       "createdAt": "inserted_at",
+ *       "embedding": "body_vec"
+ *     }
+ *   }
+ */
+
+import { readFileSync } from 'fs';
+import { parseTableName, quoteIdentifier } from './identifiers.js';
+
+export const DEFAULT_MAPPING = {
+  id: 'id',
+  content: 'content',
+  metadata: ['metadata'],
+  createdAt: 'created_at',
+  embedding: null, // auto-detected
+};
+
+const MAPPING_KEYS = Object.keys(DEFAULT_MAPPING);
+
+// Names preferred when auto-detecting the embedding column
+const PREFERRED_EMBEDDING_COLUMNS = ['embedding', 'content_embedding'];
+
+// Column suffixes used while re-embedding a table; never detected as the embedding column
+export const REEMBED_SUFFIX = '__reembed';
+export const PREVIOUS_SUFFIX = '__previous';
+
+/**
+ * Validate the shape of a mapping, keeping only the keys that were given
+ */
+export function normalizeMapping(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Column mapping must be an object');
+  }
+
+  const mapping = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!MAPPING_KEYS.includes(key)) {
+      throw new Error(`Unknown column mapping key "${key}" (expected ${MAPPING_KEYS.join(', ')})`);
+    }
+
+    if (key === 'metadata') {
+      const names = value === null ? [] : Array.isArray(value) ? value : [value];
+      if (names.some(name => typeof name !== 'string' || name === '')) {
+        throw new Error('Column mapping "metadata" must be a column name, a list of column names or null');
+      }
+      mapping.metadata = names;
+    } else if (value === null && (key === 'createdAt' || key === 'embedding')) {
+      // No timestamp column / auto-detect the embedding column
+      mapping[key] = null;
+    } else if (typeof value === 'string' && value !== '') {
+      mapping[key] = value;
+    } else {
+      throw new Error(`Column mapping "${key}" must be a column name`);
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Registry of mappings keyed by table; entries without a schema match any schema
+ */
+export function createMappingRegistry() {
+  const mappings = new Map();
+  const keyFor = (schema, name) => `${schema ?? ''}\u0000${name}`;
+
+  function set(schema, name, mapping) {
+    mappings.set(keyFor(schema, name), {
+      table: schema ? `${schema}.${name}` : name,
+      mapping: normalizeMapping(mapping),
+    });
+  }
+
+  function get(schema, name) {
+    return (mappings.get(keyFor(schema, name)) ?? mappings.get(keyFor(null, name)))?.mapping ?? null;
+  }
+
+  function entries() {
+    return [...mappings.values()];
+  }
+
+  return { set, get, entries };
+}
+
+/**
+ * Load mappings from a JSON file of { "table": { ...mapping } } into a registry
+ *
+ * Returns the number of mappings loaded.
+ */
+export function loadMappingsFile(path, registry) {
+  const entries = JSON.parse(readFileSync(path, 'utf8'));
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error('expected an object keyed by table name');
+  }
+
+  for (const [table, mapping] of Object.entries(entries)) {
+    const { schema, name } = parseTableName(table);
+    try {
+      registry.set(schema, name, mapping);
+    } catch (error) {
+      throw new Error(`${table}: ${error.message}`);
+    }
+  }
+  return Object.keys(entries).length;
+}
+
+/**
+ * Resolve a mapping against the table's catalog columns ({ name, udtName, dataType })
+ *
+ * Returns quoted SQL for each logical column. `metadata` is an expression
+ * combining all metadata columns into one JSONB value; `metadataColumn` is the
+ * JSONB column writes go to; `vectors` lists every vector column by name.
+ * Default column names that are missing are only an error for the primary key
+ * and content, while explicitly mapped columns must always exist.
+ */
+export function resolveColumns(tableName, mapping, catalogColumns) {
+  const explicit = mapping || {};
+  const merged = { ...DEFAULT_MAPPING, ...explicit };
+  const byName = new Map(catalogColumns.map(column => [column.name, column]));
+  const errors = [];
+
+  const lookup = (key, name) => {
+    if (byName.has(name)) {
+      return byName.get(name);
+    }
+    if (key in explicit || key === 'id' || key === 'content') {
+      errors.push(`column "${name}" (${key}) does not exist`);
+    }
+    return null;
+  };
+
+  const id = lookup('id', merged.id);
+  const content = lookup('content', merged.content);
+  const metadata = merged.metadata.map(name => lookup('metadata', name)).filter(Boolean);
+  const createdAt = merged.createdAt ? lookup('createdAt', merged.createdAt) : null;
+
+  let embedding = null;
+  if (merged.embedding) {
+    embedding = lookup('embedding', merged.embedding);
+    if (embedding && embedding.udtName !== 'vector') {
+      errors.push(`embedding column "${embedding.name}" is of type ${embedding.dataType}, expected vector`);
+    }
+  } else {
+    embedding = detectEmbeddingColumn(catalogColumns);
+  }
+
+  if (errors.length > 0) {
+    const hint = mapping ? '' : ' (register a column mapping with register_table or TABLE_MAPPINGS_FILE)';
+    throw new Error(`Invalid column mapping for ${tableName}: ${errors.join('; ')}${hint}`);
+  }
+
+  const metadataColumn = metadata.find(column => column.udtName === 'jsonb');
+  return {
+    id: quoteIdentifier(id.name),
+    content: quoteIdentifier(content.name),
+    metadata: metadataExpression(metadata),
+    metadataColumn: metadataColumn ? quoteIdentifier(metadataColumn.name) : null,
+    createdAt: createdAt ? quoteIdentifier(createdAt.name) : null,
+    embedding: embedding ? quoteIdentifier(embedding.name) : null,
+    vectors: catalogColumns
+      .filter(column => column.udtName === 'vector')
+      .map(column => ({ name: column.name, dataType: column.dataType })),
+    names: {
+      id: id.name,
+      content: content.name,
+      metadata: metadata.map(column => column.name),
+      createdAt: createdAt?.name ?? null,
+      embedding: embedding?.name ?? null,
+      embeddingType: embedding?.dataType ?? null,
+      all: catalogColumns.map(column => column.name),
+    },
+  };
+}
+
+function detectEmbeddingColumn(catalogColumns) {
+  const vectors = catalogColumns.filter(column => column.udtName === 'vector' &&
+    !column.name.endsWith(REEMBED_SUFFIX) && !column.name.endsWith(PREVIOUS_SUFFIX));
+  return PREFERRED_EMBEDDING_COLUMNS.map(name => vectors.find(column => column.name === name)).find(Boolean)
+    ?? vectors.find(column => column.name.includes('embedding'))
+    ?? vectors[0]
+    ?? null;
+}
+
+/**
+ * Combine metadata columns into a single JSONB expression.
+ *
+ * A lone JSONB column is used as-is so its indexes still apply; JSON columns
+ * are cast and other columns appear as a key named after the column.
+ */
+function metadataExpression(columns) {
+  if (columns.length === 0) {
+    return `'{}'::jsonb`;
+  }
+  if (columns.length === 1 && columns[0].udtName === 'jsonb') {
+    return quoteIdentifier(columns[0].name);
+  }
+
+  const parts = columns.map(column => {
+    const quoted = quoteIdentifier(column.name);
+    switch (column.udtName) {
+      case 'jsonb':
+        return `coalesce(${quoted}, '{}'::jsonb)`;
+      case 'json':
+        return `coalesce(${quoted}::jsonb, '{}'::jsonb)`;
+      default:
+        return `jsonb_build_object('${column.name.replace(/'/g, "''")}', ${quoted})`;
+    }
+  });
+  return `(${parts.join(' || ')})`;
+}
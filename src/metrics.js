@@ -0,0 +1,52 @@
+/**
+ * Vector distance metrics
+ *
+ * pgvector orders by distance (smaller is closer), while the tools report a
+ * similarity where larger is better; similarity thresholds apply to that
+ * value. Ranges: cosine [-1, 1], l2 and l1 (0, 1], inner_product unbounded
+ * (equal to cosine similarity for normalized embeddings).
+ */
+
+export const DISTANCE_METRICS = {
+  cosine: {
+    operator: '<=>',
+    operatorClassSuffix: '_cosine_ops',
+    similarity: (distance) => `(1 - (${distance}))`,
+  },
+  l2: {
+    operator: '<->',
+    operatorClassSuffix: '_l2_ops',
+    similarity: (distance) => `(1 / (1 + (${distance})))`,
+  },
+  inner_product: {
+    // <#> returns the negative inner product so that ascending order is best-first
+    operator: '<#>',
+    operatorClassSuffix: '_ip_ops',
+    similarity: (distance) => `((${distance}) * -1)`,
+  },
+  l1: {
+    // Requires pgvector 0.7.0 or later
+    operator: '<+>',
+    operatorClassSuffix: '_l1_ops',
+    similarity: (distance) => `(1 / (1 + (${distance})))`,
+  },
+};
+
+export const METRIC_NAMES = Object.keys(DISTANCE_METRICS);
+
+/**
+ * Look up a metric by name, failing with the list of supported metrics
+ */
+export function getMetric(name) {
+  if (!Object.hasOwn(DISTANCE_METRICS, name)) {
+    throw new Error(`Unknown distance metric: ${name} (expected one of ${METRIC_NAMES.join(', ')})`);
+  }
+  return DISTANCE_METRICS[name];
+}
+
+/**
+ * Map an index operator class (e.g. vector_l2_ops, halfvec_ip_ops) to a metric name
+ */
+export function metricFromOperatorClass(operatorClass) {
+  return METRIC_NAMES.find(name => operatorClass.endsWith(DISTANCE_METRICS[name].operatorClassSuffix)) ?? null;
+}
@@ -0,0 +1,193 @@
+/**
+ * Embedding model registry
+ *
+ * Records which provider and model produced the embeddings in each vector
+ * column, so inserts and searches can refuse to mix vectors from different
+ * models. Records live in a small table created on first write; like the
+ * embedding cache, failures to reach it are logged but never fail a request.
+ */
+
+/**
+ * Dimension declared by a column type such as `vector(1536)`, or null
+ */
+export function parseVectorDimensions(dataType) {
+  const match = /^vector\((\d+)\)$/.exec(dataType || '');
+  return match ? Number(match[1]) : null;
+}
+
+// How long a found record is trusted before it is read again, since another
+// process (a reembed run, say) may replace it
+const RECORD_TTL_MS = 60 * 1000;
+
+export function createModelRegistry({ table, getPool }) {
+  // Only found records are cached, and only for RECORD_TTL_MS
+  const known = new Map();
+  let tableReady = null;
+
+  const keyFor = (schema, name, column) => `${schema}\u0000${name}\u0000${column}`;
+
+  async function ensureTable(client) {
+    if (!tableReady) {
+      tableReady = client.query(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          table_schema TEXT NOT NULL,
+          table_name TEXT NOT NULL,
+          column_name TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          model TEXT NOT NULL,
+          dimensions INTEGER NOT NULL,
+          recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (table_schema, table_name, column_name)
+        )
+      `).catch((error) => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  async function withClient(callback) {
+    try {
+      const pool = await getPool();
+      const client = await pool.connect();
+      try {
+        return await callback(client);
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error(`⚠️  Embedding model registry unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function readRows(client, where = '', params = []) {
+    const exists = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [table]);
+    if (!exists.rows[0].exists) {
+      return [];
+    }
+    const result = await client.query(
+      `SELECT table_schema, table_name, column_name, provider, model, dimensions, recorded_at FROM ${table} ${where}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get the record for a vector column, or null when none was made
+   */
+  async function get(schema, name, column) {
+    const key = keyFor(schema, name, column);
+    const cached = known.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.record;
+    }
+
+    const rows = await withClient(client => readRows(
+      client,
+      'WHERE table_schema = $1 AND table_name = $2 AND column_name = $3',
+      [schema, name, column]
+    ));
+    const record = rows?.[0] ?? null;
+    if (record) {
+      known.set(key, { record, expiresAt: Date.now() + RECORD_TTL_MS });
+    } else {
+      known.delete(key);
+    }
+    return record;
+  }
+
+  /**
+   * Record (or replace) the provider and model behind a vector column
+   */
+  async function record(schema, name, column, { provider, model, dimensions }) {
+    const saved = await withClient(async (client) => {
+      await ensureTable(client);
+      const result = await client.query(
+        `INSERT INTO ${table} (table_schema, table_name, column_name, provider, model, dimensions)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (table_schema, table_name, column_name)
+         DO UPDATE SET provider = EXCLUDED.provider, model = EXCLUDED.model,
+                       dimensions = EXCLUDED.dimensions, recorded_at = CURRENT_TIMESTAMP
+         RETURNING table_schema, table_name, column_name, provider, model, dimensions, recorded_at`,
+        [schema, name, column, provider, model, dimensions]
+      );
+      return result.rows[0];
+    });
+    if (saved) {
+      known.set(keyFor(schema, name, column), { record: saved, expiresAt: Date.now() + RECORD_TTL_MS });
+    }
+    return saved;
+  }
+
+  /**
+   * Record the provider and model behind a vector column unless it has a record
+   *
+   * Runs on the caller's client inside its open transaction, so the record
+   * only lands with the rows it describes. Returns the record in place
+   * afterwards, which is another writer's if it got there first, or null
+   * when the registry is unavailable.
+   */
+  async function claim(client, schema, name, column, { provider, model, dimensions }) {
+    // Whatever is cached may be stale, and the transaction may still roll back
+    known.delete(keyFor(schema, name, column));
+
+    // Created on a connection of its own so that a rollback can't undo it
+    if (!await withClient(async (own) => Boolean(await ensureTable(own)))) {
+      return null;
+    }
+
+    await client.query('SAVEPOINT embedding_model_registry');
+    try {
+      const inserted = await client.query(
+        `INSERT INTO ${table} (table_schema, table_name, column_name, provider, model, dimensions)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (table_schema, table_name, column_name) DO NOTHING
+         RETURNING table_schema, table_name, column_name, provider, model, dimensions, recorded_at`,
+        [schema, name, column, provider, model, dimensions]
+      );
+      // A concurrent writer's record is visible here once its transaction commits
+      const rows = inserted.rows.length > 0 ? inserted.rows : await readRows(
+        client,
+        'WHERE table_schema = $1 AND table_name = $2 AND column_name = $3',
+        [schema, name, column]
+      );
+      await client.query('RELEASE SAVEPOINT embedding_model_registry');
+      return rows[0] ?? null;
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT embedding_model_registry');
+      console.error(`⚠️  Embedding model registry unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Forget the record for a vector column, or for every column of a dropped table
+   */
+  async function remove(schema, name, column = null) {
+    for (const key of known.keys()) {
+      if (column === null ? key.startsWith(keyFor(schema, name, '')) : key === keyFor(schema, name, column)) {
+        known.delete(key);
+      }
+    }
+    await withClient(async (client) => {
+      const exists = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [table]);
+      if (exists.rows[0].exists) {
+        await client.query(
+          `DELETE FROM ${table} WHERE table_schema = $1 AND table_name = $2 AND ($3::text IS NULL OR column_name = $3)`,
+          [schema, name, column]
+        );
+      }
+    });
+  }
+
+  /**
+   * List every record
+   */
+  async function list() {
+    return (await withClient(client => readRows(client, 'ORDER BY table_schema, table_name, column_name'))) || [];
+  }
+
+  return { get, record, claim, remove, list };
+}
@@ -0,0 +1,128 @@
+/**
+ * Search result output
+ *
+ * Search tools answer with readable text by default. `format: "json"` returns
+ * the full results as a JSON document instead, and `format: "both"` returns
+ * the text followed by the JSON. `fields` projects each JSON result onto a
+ * list of dot paths such as ["id", "metadata.path"], and `content_max_length`
+ * truncates content (0 keeps it whole).
+ */
+
+export const OUTPUT_FORMATS = ['text', 'json', 'both'];
+
+/**
+ * Truncate text to `maxLength` characters, marking the cut with "..."
+ */
+export function truncateContent(text, maxLength) {
+  if (typeof text !== 'string' || !maxLength || text.length <= maxLength) {
+    return text;
+  }
+  return `${text.slice(0, maxLength)}...`;
+}
+
+/**
+ * Validate a `fields` argument against the top-level fields a tool returns
+ */
+export function parseFields(fields, available) {
+  if (fields === undefined || fields === null) {
+    return null;
+  }
+  if (!Array.isArray(fields) || fields.length === 0 ||
+      fields.some(field => typeof field !== 'string' || field === '')) {
+    throw new Error('fields must be a non-empty list of field paths');
+  }
+
+  const unknown = fields.filter(field => !available.includes(field.split('.')[0]));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fields: ${unknown.join(', ')} (expected paths under ${available.join(', ')})`);
+  }
+  return fields.map(field => field.split('.'));
+}
+
+/**
+ * Copy only the given paths of `result`; paths that don't exist are left out
+ */
+export function projectFields(result, paths) {
+  if (!paths) {
+    return result;
+  }
+
+  const projected = {};
+  for (const path of paths) {
+    let source = result;
+    for (const key of path) {
+      source = source !== null && typeof source === 'object' && Object.hasOwn(source, key) ? source[key] : undefined;
+    }
+    if (source === undefined) {
+      continue;
+    }
+
+    let target = projected;
+    for (const key of path.slice(0, -1)) {
+      target[key] ??= {};
+      target = target[key];
+    }
+    target[path[path.length - 1]] = source;
+  }
+  return projected;
+}
+
+/**
+ * Read the output arguments shared by the search tools
+ *
+ * Asking for `fields` implies JSON output. Text output truncates content to
+ * `defaultTextLength` unless told otherwise; JSON output keeps it whole.
+ */
+export function parseOutputOptions(args, { available, defaultFormat = 'text', defaultTextLength }) {
+  const format = args.format || (args.fields ? 'json' : defaultFormat);
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format} (expected one of ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  const maxLength = args.content_max_length;
+  if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 0)) {
+    throw new Error('content_max_length must be a non-negative integer');
+  }
+
+  return {
+    format,
+    fields: parseFields(args.fields, available),
+    textLength: maxLength ?? defaultTextLength,
+    jsonLength: maxLength ?? 0,
+  };
+}
+
+/**
+ * Build the tool content for a list of results
+ *
+ * `formatText(results)` renders the readable text from results whose content
+ * is already truncated; `payload` is merged into the JSON document.
+ */
+export function formatResults(results, options, { formatText, payload = {} }) {
+  return formatOutput(options.format, {
+    formatText: () => formatText(
+      results.map(result => ({ ...result, content: truncateContent(result.content, options.textLength) }))
+    ),
+    formatJson: () => ({
+      ...payload,
+      count: results.length,
+      results: results.map(result => projectFields(
+        { ...result, content: truncateContent(result.content, options.jsonLength) },
+        options.fields
+      )),
+    }),
+  });
+}
+
+/**
+ * Build the tool content in the given format from text and JSON renderers
+ */
+export function formatOutput(format, { formatText, formatJson }) {
+  const content = [];
+  if (format !== 'json') {
+    content.push({ type: 'text', text: formatText() });
+  }
+  if (format !== 'text') {
+    content.push({ type: 'text', text: JSON.stringify(formatJson(), null, 2) });
+  }
+  return content;
+}
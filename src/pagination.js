@@ -0,0 +1,113 @@
+/**
+ * Keyset pagination cursors
+ *
+ * A cursor is an opaque token holding the sort key of the last row returned
+ * and a fingerprint of the search that produced it, so it can't be replayed
+ * against a different query, table or filter. Each page fetches one row more
+ * than requested to tell whether another page exists.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Short hash identifying a search (everything that affects its rows and order,
+ * including the database it runs against)
+ */
+export function searchFingerprint(search) {
+  return createHash('sha256').update(JSON.stringify(search)).digest('base64url').slice(0, 16);
+}
+
+export function encodeCursor(fingerprint, key) {
+  return Buffer.from(JSON.stringify({ f: fingerprint, k: key })).toString('base64url');
+}
+
+/**
+ * Decode a cursor into the sort key of the last row of the previous page
+ */
+export function decodeCursor(token, fingerprint) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch {
+    cursor = null;
+  }
+  if (!cursor || typeof cursor.f !== 'string' || !Array.isArray(cursor.k)) {
+    throw new Error('Invalid cursor');
+  }
+  if (cursor.f !== fingerprint) {
+    throw new Error('Cursor belongs to a different search; repeat the original query, table and filters');
+  }
+  return cursor.k;
+}
+
+/**
+ * Where a page starts: after a cursor's key, or at an offset (0 by default)
+ */
+export function resolvePageStart({ offset, cursor } = {}, fingerprint) {
+  if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+    throw new Error('offset must be a non-negative integer');
+  }
+  if (cursor !== undefined && cursor !== null) {
+    if (offset) {
+      throw new Error('Use either offset or cursor, not both');
+    }
+    if (typeof cursor !== 'string' || cursor === '') {
+      throw new Error('Invalid cursor');
+    }
+    return { after: decodeCursor(cursor, fingerprint), offset: 0 };
+  }
+  return { after: null, offset: offset || 0 };
+}
+
+/**
+ * SQL condition selecting the rows that sort after `values`
+ *
+ * `keys` are the ORDER BY keys as { sql, direction: 'asc'|'desc', nulls:
+ * 'first'|'last', notNull, cast }, the last of which must be unique and not
+ * null. `addParam(value)` appends a parameter and returns its placeholder.
+ */
+export function keysetCondition(keys, values, addParam) {
+  const alternatives = [];
+  const equal = [];
+  keys.forEach((key, index) => {
+    const value = values[index];
+    const placeholder = value === null ? null : `${addParam(value)}${key.cast ? `::${key.cast}` : ''}`;
+
+    const after = [];
+    if (value === null) {
+      if (key.nulls === 'first') {
+        after.push(`${key.sql} IS NOT NULL`);
+      }
+    } else {
+      after.push(`${key.sql} ${key.direction === 'desc' ? '<' : '>'} ${placeholder}`);
+      if (key.nulls === 'last' && !key.notNull) {
+        after.push(`${key.sql} IS NULL`);
+      }
+    }
+    if (after.length > 0) {
+      alternatives.push([...equal, after.length === 1 ? after[0] : `(${after.join(' OR ')})`].join(' AND '));
+    }
+    equal.push(value === null ? `${key.sql} IS NULL` : `${key.sql} = ${placeholder}`);
+  });
+  return alternatives.length > 0 ? `(${alternatives.map(alternative => `(${alternative})`).join(' OR ')})` : 'FALSE';
+}
+
+/**
+ * ORDER BY clause for keys in the shape keysetCondition takes
+ */
+export function orderByClause(keys) {
+  return keys.map(key => `${key.sql} ${key.direction.toUpperCase()} NULLS ${key.nulls.toUpperCase()}`).join(', ');
+}
+
+/**
+ * Trim a `limit + 1` row fetch to a page, with a cursor when more rows exist
+ */
+export function buildPage(rows, limit, fingerprint, keyOf) {
+  const hasMore = rows.length > limit;
+  const results = rows.slice(0, limit);
+  return {
+    results,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(fingerprint, keyOf(results[results.length - 1])) : null,
+  };
+}
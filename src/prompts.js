@@ -0,0 +1,149 @@
+/**
+ * MCP prompts for common retrieval workflows
+ *
+ * Each prompt is filled in on the server from the same searches the tools
+ * run, so clients get the retrieved documents, citations and instructions in
+ * one message. `tools` names the tools a prompt can run on; a prompt is only
+ * offered while one of them is available.
+ */
+
+export const PROMPTS = [
+  {
+    name: 'answer_from_knowledge_base',
+    tools: ['vector_search', 'hybrid_search'],
+    description: 'Answer a question from the documents most similar to it, citing them',
+    arguments: [
+      { name: 'question', description: 'The question to answer', required: true },
+      { name: 'table', description: 'Table to search (default: the configured default table)', required: false },
+      { name: 'limit', description: 'Number of documents to retrieve (default: 5, up to the search result limit)', required: false },
+      { name: 'filters', description: 'Metadata filter as JSON, same language as metadata_search', required: false },
+      { name: 'database', description: 'Database to search (default: the default database)', required: false },
+    ],
+  },
+  {
+    name: 'summarize_collection',
+    tools: ['metadata_search'],
+    description: 'Summarize what a table contains from a sample of its newest documents',
+    arguments: [
+      { name: 'table', description: 'Table to sample (default: the configured default table)', required: false },
+      { name: 'sample_size', description: 'Number of documents to sample (default: 20, up to the metadata result limit)', required: false },
+      { name: 'filters', description: 'Metadata filter as JSON, to summarize part of the table', required: false },
+      { name: 'database', description: 'Database to sample (default: the default database)', required: false },
+    ],
+  },
+  {
+    name: 'explain_schema',
+    tools: ['get_table_schemas'],
+    description: 'Explain the tables, columns and embeddings available to the search tools',
+    arguments: [
+      { name: 'table', description: 'Only explain this table (default: all readable tables)', required: false },
+      { name: 'database', description: 'Database to explain (default: the default database)', required: false },
+    ],
+  },
+];
+
+// Content characters per document in summaries, which only need the gist
+const SUMMARY_CONTENT_LENGTH = 500;
+
+/**
+ * Parse a JSON prompt argument such as filters
+ */
+export function parseJsonArgument(name, value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Prompt argument ${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a numeric prompt argument within [1, max]
+ */
+export function parseCountArgument(name, value, defaultValue, max) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    throw new Error(`Prompt argument ${name} must be an integer from 1 to ${max}`);
+  }
+  return count;
+}
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+/**
+ * Question answering over retrieved documents, cited as [n]
+ *
+ * `documents` are search results with a resource `uri`.
+ */
+export function renderAnswerPrompt({ question, table, documents, ranking }) {
+  const sources = documents.map((document, index) =>
+    `[${index + 1}] ${document.uri}${document.score !== undefined ? ` (${ranking}: ${document.score})` : ''}\n` +
+    `Metadata: ${JSON.stringify(document.metadata)}\n` +
+    `${document.content}`
+  );
+
+  return {
+    description: `Answer from ${documents.length} documents in ${table}`,
+    messages: [
+      userMessage(
+        `Answer the question using only the documents below, retrieved from ${table} by ${ranking}. ` +
+        'Cite the documents you use as [n] after each claim. If the documents do not contain the answer, ' +
+        'say so instead of guessing.\n\n' +
+        (sources.length > 0 ? sources.join('\n\n---\n\n') : '(No documents matched the question.)') +
+        `\n\nQuestion: ${question}`
+      ),
+    ],
+  };
+}
+
+/**
+ * Collection summary from a sample of documents
+ */
+export function renderSummaryPrompt({ table, documents, hasMore, filters }) {
+  const samples = documents.map((document, index) => {
+    const content = document.content?.length > SUMMARY_CONTENT_LENGTH
+      ? `${document.content.slice(0, SUMMARY_CONTENT_LENGTH)}...`
+      : document.content;
+    return `[${index + 1}] ${document.uri}${document.created_at ? ` (${new Date(document.created_at).toISOString()})` : ''}\n` +
+      `Metadata: ${JSON.stringify(document.metadata)}\n` +
+      `${content}`;
+  });
+
+  return {
+    description: `Summarize ${table} from ${documents.length} sampled documents`,
+    messages: [
+      userMessage(
+        `Summarize the collection in ${table}${filters ? ` (documents matching ${JSON.stringify(filters)})` : ''} ` +
+        `from the ${documents.length} newest documents below` +
+        `${hasMore ? ', a sample of a larger set' : ', which are all of the matching documents'}. ` +
+        'Describe the main topics, the kinds of documents and the metadata fields that vary, and point out ' +
+        'anything notable. Refer to documents as [n].\n\n' +
+        (samples.length > 0 ? samples.join('\n\n---\n\n') : '(The collection is empty.)')
+      ),
+    ],
+  };
+}
+
+/**
+ * Schema explanation from the get_table_schemas report
+ */
+export function renderSchemaPrompt({ table, report }) {
+  return {
+    description: table ? `Explain the schema of ${table}` : 'Explain the database schema',
+    messages: [
+      userMessage(
+        `Explain ${table ? `the table ${table}` : 'the tables in this database'} to someone about to search it with the ` +
+        'pgvector tools: what each table appears to hold, which columns carry the content, metadata and embeddings, ' +
+        'which tables support semantic search, and which tool and table to use for typical questions.\n\n' +
+        report
+      ),
+    ],
+  };
+}
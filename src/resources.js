@@ -0,0 +1,64 @@
+/**
+ * MCP resource URIs
+ *
+ * Vector tables are exposed as `pgvector://<schema.table>` and single
+ * documents as `pgvector://<schema.table>/<id>`, with each part
+ * percent-encoded. Resources of a named database other than the default one
+ * carry it as a query parameter: `pgvector://<schema.table>/<id>?database=<name>`.
+ */
+
+export const RESOURCE_SCHEME = 'pgvector://';
+
+export const DOCUMENT_URI_TEMPLATE = `${RESOURCE_SCHEME}{table}/{id}`;
+
+const URI_FORMAT = `${RESOURCE_SCHEME}<table>[/<id>][?database=<name>]`;
+
+/**
+ * `database` is left out for the default database
+ */
+export function tableUri(table, database = null) {
+  return `${RESOURCE_SCHEME}${encodeURIComponent(table)}${databaseQuery(database)}`;
+}
+
+export function documentUri(table, id, database = null) {
+  return `${RESOURCE_SCHEME}${encodeURIComponent(table)}/${encodeURIComponent(String(id))}${databaseQuery(database)}`;
+}
+
+/**
+ * Document URI template of one table, e.g. `pgvector://kb.articles/{id}`
+ */
+export function documentUriTemplate(table, database = null) {
+  return `${RESOURCE_SCHEME}${encodeURIComponent(table)}/{id}${databaseQuery(database)}`;
+}
+
+function databaseQuery(database) {
+  return database ? `?database=${encodeURIComponent(database)}` : '';
+}
+
+/**
+ * Split a resource URI into its table, the row id for documents and the
+ * database, which is null for the default one
+ */
+export function parseResourceUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_SCHEME)) {
+    throw new Error(`Unsupported resource URI: ${uri} (expected ${URI_FORMAT})`);
+  }
+
+  const [path, query, ...rest] = uri.slice(RESOURCE_SCHEME.length).split('?');
+  const parts = path.split('/');
+  if (rest.length > 0 || parts.length > 2 || parts.some(part => part === '')) {
+    throw new Error(`Malformed resource URI: ${uri} (expected ${URI_FORMAT})`);
+  }
+
+  const params = new URLSearchParams(query ?? '');
+  const unknown = [...params.keys()].filter(key => key !== 'database');
+  if (unknown.length > 0 || params.getAll('database').length > 1 || params.get('database') === '') {
+    throw new Error(`Malformed resource URI: ${uri} (the only query parameter is database=<name>)`);
+  }
+  try {
+    const [table, id] = parts.map(decodeURIComponent);
+    return { table, id: id ?? null, database: params.get('database') };
+  } catch {
+    throw new Error(`Malformed resource URI: ${uri}`);
+  }
+}